@@ -11,10 +11,240 @@ Kaos.Augment = Kaos.Augment || {};
 
 //=============================================================================
  /*:
- * @plugindesc v1.0 Allows specification of requirements for augments, and
+ * @plugindesc v1.25 Allows specification of requirements for augments, and
  * the ability to grant tags to whatever they attach to.
  * @author Audorn
  *
+ * @param Conflict Rejection
+ * @desc Rejection text shown when an augment conflicts with another
+ * augment installed on the same item.
+ * @default This conflicts with another installed augment.
+ *
+ * @param Unique Rejection
+ * @desc Rejection text shown when an <Augment Unique Per Item> augment
+ * is already installed on the item.
+ * @default Only one of these can be installed per item.
+ *
+ * @param Max Item Rejection
+ * @desc Rejection text shown when an item already has as many of the
+ * augment as <Augment Max Per Item> allows.  %1 is the limit.
+ * @default Only %1 of these can be installed per item.
+ *
+ * @param Max Actor Rejection
+ * @desc Rejection text shown when an actor's equipment already has as
+ * many of the augment as <Augment Max Per Actor> allows.  %1 is the limit.
+ * @default Only %1 of these can be installed per actor.
+ *
+ * @param Max Party Rejection
+ * @desc Rejection text shown when the party's items already have as
+ * many of the augment as <Augment Max Per Party> allows.  %1 is the limit.
+ * @default Only %1 of these can be installed across the party.
+ *
+ * @param Hide Incompatible
+ * @desc Hide augments that cannot be installed from the augment list,
+ * instead of dimming them.  true or false
+ * @default false
+ *
+ * @param Incompatible Marker
+ * @desc Text drawn beside augments in the augment list that cannot be
+ * installed in the selected slot.
+ * @default [X]
+ *
+ * @param Grants Preview
+ * @desc Help window line listing the highlighted augment's granted
+ * tags.  %1 is the list of tags.  Leave empty to not show it.
+ * @default \C[24]Grants:\C[0] %1
+ *
+ * @param Missing Preview
+ * @desc Help window line listing the requirements the highlighted
+ * augment is missing.  %1 is the list.  Leave empty to not show it.
+ * @default \C[2]Requires:\C[0] %1
+ *
+ * @param Rejection Window X
+ * @desc X position of the rejection window.  This is a formula, and
+ * helpWindow is the scene's help window.
+ * @default helpWindow.x
+ *
+ * @param Rejection Window Y
+ * @desc Y position of the rejection window.  This is a formula, and
+ * helpWindow is the scene's help window.
+ * @default helpWindow.y
+ *
+ * @param Rejection Window Width
+ * @desc Width of the rejection window.  This is a formula, and
+ * helpWindow is the scene's help window.
+ * @default helpWindow.width
+ *
+ * @param Rejection Window Height
+ * @desc Height of the rejection window.  This is a formula, and
+ * helpWindow is the scene's help window.
+ * @default helpWindow.height
+ *
+ * @param Rejection Window Skin
+ * @desc Window skin in img/system/ used by the rejection window.
+ * @default Window
+ *
+ * @param Rejection Window Opacity
+ * @desc Opacity of the rejection window's background, from 0 to 255.
+ * @default 192
+ *
+ * @param Rejection SE
+ * @desc Sound effect played when the rejection window is shown, unless
+ * a failure sound effect plays instead.  Leave empty for none.
+ * @default Buzzer1
+ *
+ * @param Rejection Duration
+ * @desc Frames the rejection window stays up before fading out.
+ * 0 keeps it up until the next augment is picked.
+ * @default 180
+ *
+ * @param Rejection Fade
+ * @desc Frames the rejection window takes to fade out.
+ * @default 20
+ *
+ * @param Rejection Mode
+ * @desc overlay shows the rejection window over the help window.
+ * replace hides the help window while it is up.
+ * @default overlay
+ *
+ * @param Dependent Removal
+ * @desc What happens when removing an augment would leave other installed
+ * augments without a tag they require.  block, cascade or allow
+ * @default block
+ *
+ * @param Dependent Rejection
+ * @desc Rejection text shown when an augment cannot be removed because
+ * other installed augments depend on it.
+ * @default Other installed augments depend on this one.
+ *
+ * @param Veto Rejection
+ * @desc Rejection text shown when a beforeInstall handler stops an
+ * install without giving a reason.
+ * @default This augment cannot be installed right now.
+ *
+ * @param Failure Destroy Text
+ * @desc Rejection text shown when an install fails and the augment is
+ * destroyed.
+ * @default The augment was destroyed during installation!
+ *
+ * @param Failure Destroy SE
+ * @desc Sound effect played when an install fails and the augment is
+ * destroyed.  Leave empty for none.
+ * @default Break
+ *
+ * @param Failure Keep Text
+ * @desc Rejection text shown when an install fails and the augment is
+ * returned.
+ * @default The installation failed.
+ *
+ * @param Failure Keep SE
+ * @desc Sound effect played when an install fails and the augment is
+ * returned.  Leave empty for none.
+ * @default Buzzer2
+ *
+ * @param Failure Damage Text
+ * @desc Rejection text shown when an install fails and damages the
+ * target item.
+ * @default The installation failed and damaged the item!
+ *
+ * @param Failure Damage SE
+ * @desc Sound effect played when an install fails and damages the
+ * target item.  Leave empty for none.
+ * @default Damage3
+ *
+ * @param Failure Damage Rate
+ * @desc Percentage of each parameter the target item loses when an
+ * install fails and damages it, unless the augment sets its own.
+ * @default 10
+ *
+ * @param Expire Message
+ * @desc Message shown when an augment's duration runs out.  %1 is the
+ * item's name and %2 is the augment's name.
+ * @default %2 on %1 has expired.
+ *
+ * @param Battles Left
+ * @desc Text shown in the slot list for augments lasting a number of
+ * battles.  %1 is the number of battles left.
+ * @default \C[6]%1 battles
+ *
+ * @param Steps Left
+ * @desc Text shown in the slot list for augments lasting a number of
+ * steps.  %1 is the number of steps left.
+ * @default \C[6]%1 steps
+ *
+ * @param Time Left
+ * @desc Text shown in the slot list for augments lasting a number of
+ * seconds.  %1 is the time left as minutes:seconds.
+ * @default \C[6]%1
+ *
+ * @param Undo Command
+ * @desc Command in the Equip Customize scene that takes back the last
+ * augment installed or removed there.
+ * @default Undo
+ *
+ * @param Revert Command
+ * @desc Command in the Equip Customize scene that takes back every
+ * augment change made since the scene was opened.
+ * @default Revert All Changes
+ *
+ * @param Save Loadout Command
+ * @desc Command in the Equip Customize scene that saves the item's
+ * augments as its loadout.
+ * @default Save Loadout
+ *
+ * @param Apply Loadout Command
+ * @desc Command in the Equip Customize scene that puts the item's saved
+ * loadout back on it.
+ * @default Apply Loadout
+ *
+ * @param Loadout Saved Text
+ * @desc Text shown in the rejection window when a loadout is saved.
+ * @default Loadout saved.
+ *
+ * @param Loadout Applied Text
+ * @desc Text shown in the rejection window when every slot of a loadout
+ * was filled.
+ * @default Loadout applied.
+ *
+ * @param Loadout Slot Text
+ * @desc Line shown in the rejection window for each slot a loadout could
+ * not fill.  %1 is the slot number and %2 is why.
+ * @default Slot %1: %2
+ *
+ * @param Missing Rejection
+ * @desc Rejection text shown when a loadout needs an augment the party
+ * does not have.
+ * @default You don't have this augment.
+ *
+ * @param Slot Rejection
+ * @desc Rejection text shown when a loadout's augment does not fit the
+ * item's slot.
+ * @default This augment doesn't fit that slot.
+ *
+ * @param Browse Command
+ * @desc Command in the item menu that lists the party's items the
+ * selected augment can be installed on.
+ * @default Compatibility
+ *
+ * @param Compatible Marker
+ * @desc Text drawn beside items in the compatibility list that the
+ * augment can be installed on.
+ * @default [OK]
+ *
+ * @param Browser Slot Text
+ * @desc Text of each slot in the compatibility list's slot window.
+ * %1 is the slot type and %2 is the augment installed in it.
+ * @default %1: %2
+ *
+ * @param Browser Empty Slot
+ * @desc Text used for %2 in Browser Slot Text when the slot is empty.
+ * @default Empty
+ *
+ * @param Validate Database
+ * @desc During playtest, check augment notetags at boot and report
+ * problems in the console (F8).  true or false
+ * @default true
+ *
  * @help
  * ============================================================================
  * Introduction
@@ -28,22 +258,26 @@ Kaos.Augment = Kaos.Augment || {};
  * item.  Augments can also be set to grant tags to the item they are attached
  * to through notetags.
  *
- * YEP_X_AttachAugments.js, YEP_X_EquipCustomize, all their pre-requisites, and
- * NeMV_Tags.js are required for this plugin to work.  Place this plugin under
- * all three of the above named plugins in the plugin manager.
+ * YEP_X_AttachAugments.js, YEP_X_EquipCustomize and all their pre-requisites
+ * are required for this plugin to work.  Place this plugin under both of them
+ * in the plugin manager.  NeMV_Tags.js is optional.  Without it, this plugin
+ * reads <Tags: ...> notetags on items, weapons and armors itself, the same
+ * way NeMV_Tags.js does.  Independent items keep their own copy of their
+ * tags, which is saved with them.
  *
  * ============================================================================
  * Usage - Notetags
  * ============================================================================
  * YEP_X_AttachAugments & NeMV_Tags pre-requisites ----------------------------
  *
- * An item must be declared an augment type and the target item/weapon/armor it
- * can be attached to must have one or more slots declared for that type.  The
- * valid notetags for these declarations can easily be found in
- * YEP_X_AttachAugments.js.
+ * An item/weapon/armor must be declared an augment type and the target
+ * item/weapon/armor it can be attached to must have one or more slots
+ * declared for that type.  The valid notetags for these declarations can
+ * easily be found in YEP_X_AttachAugments.js.  All of the augment notetags
+ * below work on items, weapons and armors alike.
  *
  * The target item/weapon/armor that the augment will attach to must then have
- * the required tag declared via the valid notetag found in NeMV_Tag.js.
+ * the required tag declared with a <Tags: ...> notetag, as in NeMV_Tags.js.
  *
  * Example:
  * Augment Item Notetag ->
@@ -72,6 +306,21 @@ Kaos.Augment = Kaos.Augment || {};
  *  ... or ...
  * <Augment Requires Tags: canFullAuto, submachinegun>
  *
+ * A requirement can also be written as an expression using | (or), & (and),
+ * ! (not), and parentheses for grouping.  Commas still separate requirements
+ * that must all be met, and an asterisk can be used on any tag to do a
+ * partial check, the same as Kaos.Augment.hasTag.
+ *
+ * Examples:
+ * Augment Item Notetag ->
+ * <Augment Requires Tags: (smg | rifle) & !shotgun>
+ *  ... or ...
+ * <Augment Requires Tags: canFullAuto, !prototype*>
+ *
+ * The first example attaches to any smg or rifle that is not also a shotgun.
+ * The second attaches to anything with canFullAuto, as long as it has no tag
+ * starting with "prototype".
+ *
  * Rejection String -----------------------------------------------------------
  *
  * If the player attempts to attach an agument to a target item/weapon/armor
@@ -80,9 +329,9 @@ Kaos.Augment = Kaos.Augment || {};
  * item/weapon/armor in the Equip->Customize description window at the top of
  * the screen (YEP_X_EquipCustomize.js).
  *
- * Only a single rejection string can be specified, and all RMMV text codes,
- * including those from YEP_MessageCore.js if you have it installed, will take
- * effect.
+ * All RMMV text codes, including those from YEP_MessageCore.js if you have it
+ * installed, will take effect.  The text code \MISSINGTAGS is replaced with
+ * the tags the target item/weapon/armor lacks, separated by commas.
  *
  * Examples:
  * Augment Item Notetag ->
@@ -98,8 +347,109 @@ Kaos.Augment = Kaos.Augment || {};
  * [Icon and name of item183]    Software Failure:  Only Thompson & Flavell
  * weapons are vulnerable to this software hack.
  *
- * There is currently no way to specify multiple rejection strings attached to
- * multiple requirements.
+ * The rejection window is shown in both the item menu and the Equip Customize
+ * scene.  By default it covers the help window, and fades out after three
+ * seconds.  Its position, size, look, sound and timing can be changed in the
+ * plugin parameters.
+ *
+ * Rejection Strings For Each Requirement -------------------------------------
+ *
+ * A rejection string can also be attached to a single requirement, written
+ * exactly as it is in <Augment Requires Tags>.  When the augment is rejected,
+ * the string for every requirement that failed is shown, each on its own
+ * line.  If a failed requirement has no string of its own, the
+ * <Augment Rejection String> is shown as well.
+ *
+ * A tag that shares its name with one of the other keys below, such as a tag
+ * named unique or slot, is written with Tag in front of it, e.g.
+ * <Augment Rejection Tag unique: text>.
+ *
+ * Examples:
+ * Augment Item Notetag ->
+ * <Augment Requires Tags: canFullAuto, (smg | rifle)>
+ * <Augment Rejection canFullAuto: Needs a full-auto receiver.>
+ * <Augment Rejection (smg | rifle): Only fits SMGs and rifles.>
+ * <Augment Rejection String: Missing: \MISSINGTAGS>
+ *
+ * Other Requirements ---------------------------------------------------------
+ *
+ * Augments can also require things other than tags.  Level, class and actor
+ * requirements are checked against the actor who has the target item
+ * equipped, and always fail if nobody has it equipped.  Param requirements
+ * are checked against the target item's own parameters (MHP, MMP, ATK, DEF,
+ * MAT, MDF, AGI or LUK).  Variable and param requirements can use >=, <=, >,
+ * <, = or !=.
+ *
+ * Augment Item Notetags ->
+ * <Augment Requires Level: 15>
+ * <Augment Requires Class: 3, 4>
+ * <Augment Requires Actor: 1, 2>
+ * <Augment Requires Switch: 12>
+ * <Augment Requires Variable 7 >= 3>
+ * <Augment Requires Param ATK >= 40>
+ *
+ * To attach a rejection string to one of these, use its type as the
+ * requirement, followed by the id for switches, variables and params.
+ *
+ * Examples:
+ * <Augment Rejection Level: Requires level 15.>
+ * <Augment Rejection Switch 12: The lockout is still active.>
+ * <Augment Rejection Param ATK: This frame is too weak.>
+ *
+ * Actor Tags -----------------------------------------------------------------
+ *
+ * An augment can require tags on whoever equips the item, rather than on the
+ * item itself.  The actor's tags are the <Tags: ...> on their actor and class
+ * in the database.  These use the same expressions as <Augment Requires Tags>.
+ *
+ * <Augment Requires Actor Tags: cyborg>
+ * <Augment Requires Actor Tags: cyborg | android>
+ *
+ * These do not stop the augment from being installed.  Instead, while the
+ * item is equipped by an actor who does not meet them, the augment is
+ * suspended: its granted tags are taken away, its detach effects run, and it
+ * does not count towards its set.  Once the item is unequipped, or equipped
+ * by an actor who meets them, its attach effects run and its tags come back.
+ * Suspended augments are greyed out when customizing the item.
+ *
+ * Conflicts ------------------------------------------------------------------
+ *
+ * An augment can refuse to share an item with other augments.  With
+ * <Augment Conflicts With Tags>, the augment will not attach if an augment in
+ * another slot has one of the listed tags, or grants one.  Granted tags are
+ * checked with their "aug_" prefix.  The check works both ways, so either
+ * augment declaring the conflict is enough.  Wildcards can be used.
+ *
+ * <Augment Unique Per Item> stops a second copy of the same augment from
+ * attaching to the same item.
+ *
+ * Examples:
+ * Augment Item Notetag ->
+ * <Augment Conflicts With Tags: aug_firmware*>
+ *  ... or ...
+ * <Augment Unique Per Item>
+ *
+ * The rejection text for these comes from the plugin parameters, and can be
+ * replaced per augment with <Augment Rejection Conflict: text> or
+ * <Augment Rejection Unique: text>.
+ *
+ * Stacking Limits ------------------------------------------------------------
+ *
+ * An augment can limit how many copies of it can be installed on one item,
+ * across the equipment of the actor who has the item equipped, or across
+ * every item the party has, equipped or not.  Each copy counts once per slot
+ * it is installed in.
+ *
+ * <Augment Max Per Item: 1>
+ * <Augment Max Per Actor: 2>
+ * <Augment Max Per Party: 3>
+ *
+ * The limits are checked when the augment is installed.  Equipping an item
+ * that already has the augment installed is not stopped by them, and the
+ * actor limit is only checked for items someone has equipped.  The rejection
+ * text comes from the plugin parameters, where %1 is the limit, and can be
+ * replaced per augment with <Augment Rejection Max Item: text>,
+ * <Augment Rejection Max Actor: text> or <Augment Rejection Max Party: text>.
  *
  * Granted Tags ---------------------------------------------------------------
  *
@@ -114,6 +464,217 @@ Kaos.Augment = Kaos.Augment || {};
  *  ... or ...
  * <Augment Grants Tags: illegalUFM, hacked>
  *
+ * Each item keeps track of which slots granted each tag, so when two augments
+ * grant the same tag, removing one of them leaves the tag in place.  When a
+ * save is loaded, the granted tags on every item are rebuilt from the
+ * augments installed on it, so changing an augment's granted tags in the
+ * database also updates items in older saves.
+ *
+ * Granted Tag Decorators -----------------------------------------------------
+ *
+ * Granted tags can change how an item is shown while it has them.  These
+ * notetags can go on any item, weapon or armor, usually the augment granting
+ * the tag.  The tag is a granted tag without its "aug_" prefix, and can use
+ * wildcards.
+ *
+ * <Granted Tag Name Prefix: tag, text>   Adds text before the item's name.
+ * <Granted Tag Name Suffix: tag, text>   Adds text after the item's name.
+ * <Granted Tag Description: tag, text>   Adds a line to the item's help
+ *                                        text.  If text has %1 in it, it
+ *                                        replaces the help text instead, with
+ *                                        %1 as the original.
+ * <Granted Tag Price Rate: tag, rate%>   Changes what shops pay for the item.
+ *
+ * Examples:
+ * <Granted Tag Name Suffix: hacked, [Hacked]>
+ * <Granted Tag Description: hacked, \C[2]This has been tampered with.>
+ * <Granted Tag Price Rate: illegal*, 50%>
+ *
+ * When more than one matches, every prefix, suffix and line is added, in the
+ * order they are read, and the price rates are multiplied together.
+ *
+ * Success Rate and Failure ---------------------------------------------------
+ *
+ * An augment can be given a chance to fail once all of its requirements are
+ * met.  The rate can be a number, or a formula using actor (whoever has the
+ * target item equipped, or null), item (the target), augment, v[id]
+ * (variables) and s[id] (switches).  The formula's result is a percentage.
+ * A formula that causes an error or does not give a number always succeeds,
+ * and is reported in the console during playtest.
+ *
+ * <Augment Success Rate: 75%>
+ * <Augment Success Rate Eval: 40 + (actor ? actor.level : 0)>
+ *
+ * What happens when it fails is set by <Augment Failure>, which defaults to
+ * keep.  Each outcome has its own rejection text and sound effect in the
+ * plugin parameters.
+ *
+ * <Augment Failure: destroy>       The augment is used up.
+ * <Augment Failure: keep>          The augment stays in the inventory.
+ * <Augment Failure: damage item>   The augment is used up, and the target
+ *                                  item loses Failure Damage Rate percent of
+ *                                  each of its params.
+ * <Augment Failure: damage item 25%>  As above, losing 25% instead.
+ *
+ * Either way, whatever was already in the slot stays there.  The rejection
+ * text can be replaced per augment with <Augment Rejection Failure Destroy:
+ * text>, <Augment Rejection Failure Keep: text> or <Augment Rejection
+ * Failure Damage: text>.
+ *
+ * Duration -------------------------------------------------------------------
+ *
+ * An augment can remove itself after a number of battles, steps taken, or
+ * seconds of play.  When its time runs out, it is removed the same way as
+ * removing it by hand, so its granted tags go away and its detach effects
+ * run, but it is not returned to the inventory.  A message is shown, using
+ * the Expire Message parameter.  Augments only expire while on the map.
+ *
+ * <Augment Duration: 5 battles>
+ * <Augment Duration: 300 steps>
+ * <Augment Duration: 600 seconds>
+ *
+ * Battles and steps only count down while a party member has the item
+ * equipped.  Seconds of play count down wherever the item is.  The time left
+ * is shown beside the augment's slot when customizing the item, and is kept
+ * in the save file with the item.
+ *
+ * Augment Sets ---------------------------------------------------------------
+ *
+ * Augments with the same set name form a set.  Installing enough members of a
+ * set on the same item turns on that set's bonuses, and removing members turns
+ * them off again.  Each member counts once per slot it is installed in.
+ *
+ * <Augment Set: Ghost Protocol>
+ *
+ * Bonuses are defined on any augment with a block naming the set and how many
+ * members are needed.  A bonus can grant tags, which are added with the "aug_"
+ * prefix like any other granted tag, and run code when it turns on and off.
+ * item, set (its name), count, actor (whoever has the item equipped, or
+ * null), v (variables) and s (switches) can be used in the code.
+ *
+ * <Augment Set Bonus: Ghost Protocol 2>
+ * Grants: cloaked, silent
+ * Attach Eval: item.params[6] += 10;
+ * Detach Eval: item.params[6] -= 10;
+ * </Augment Set Bonus>
+ *
+ * Grants, Attach Eval and Detach Eval can each be used more than once in a
+ * block.  If the code causes an error, the change that turned the bonus on
+ * or off is undone and the error is printed to the console.  If the same
+ * bonus is defined on more than one augment, the last one read is used.
+ * Bonuses turn on from the fewest members up, and off from the most members
+ * down.
+ *
+ * Common Events --------------------------------------------------------------
+ *
+ * An augment can reserve a common event when it is installed, when an attempt
+ * to install it is rejected or fails, or when it is removed.  Common events
+ * reserved while in a menu run once the player is back on the map.  When one
+ * change reserves several, such as replacing an augment, they run one after
+ * another in the order they were reserved.
+ *
+ * <Augment Install Common Event: 12>
+ * <Augment Reject Common Event: 13>
+ * <Augment Remove Common Event: 14>
+ *
+ * $gameTemp._augmentEvent holds the item, augment, slotId and actor of the
+ * install, rejection or removal that reserved the common event running, for
+ * use in the common event.
+ *
+ * Dependent Augments ---------------------------------------------------------
+ *
+ * A granted tag can be what another installed augment requires, such as a
+ * bootloader granting "aug_rooted" for an exploit that requires it.  Removing
+ * or replacing the bootloader would then leave the exploit installed without
+ * its requirement.  The Dependent Removal plugin parameter decides what
+ * happens, and can be changed for a single augment with a notetag:
+ *
+ * block   - The removal is refused, and the rejection window shows the
+ *           Dependent Rejection text.
+ * cascade - The dependent augments are removed too and returned to the
+ *           party's inventory, along with anything depending on them.
+ * allow   - The dependent augments stay installed, as in version 1.12.
+ *
+ * Example:
+ * Augment Item Notetag ->
+ * <Augment Dependents: cascade>
+ *
+ * Only tag requirements are checked for this.  The rejection text can be
+ * replaced per augment with <Augment Rejection Dependents: text>.
+ *
+ * Augment List ---------------------------------------------------------------
+ *
+ * In the augment list, augments that cannot be installed in the selected slot
+ * are dimmed and marked with the Incompatible Marker, or left out of the list
+ * entirely if Hide Incompatible is true.  While an augment is highlighted,
+ * the help window lists the tags it grants and the requirements the item is
+ * missing, in place of its description.  Conflicts and stacking limits are
+ * listed by their rejection text.  The format of both lines can be changed
+ * in the plugin parameters.
+ *
+ * Undo -----------------------------------------------------------------------
+ *
+ * Installing or removing an augment either happens completely or not at all.
+ * If anything goes wrong partway, the item and the party's inventory are put
+ * back as they were and the error is printed to the console.
+ *
+ * While the Equip Customize scene is open, every change is remembered.  The
+ * Undo command takes back the last one, and Revert All Changes takes back
+ * everything since the scene was opened.  Both return the augments, tags and
+ * inventory to how they were.  An install that fails and destroys the augment
+ * or damages the item cannot be undone, and neither can anything before it.
+ *
+ * Common events queued by an undone change are dropped.  Event hooks are sent
+ * remove for each augment taken out and install for each one put back, with
+ * undo set to true, and no common events are run for them.
+ *
+ * Loadouts -------------------------------------------------------------------
+ *
+ * The Save Loadout command in the Equip Customize scene remembers which
+ * augment is in each of the item's slots.  Apply Loadout puts them back,
+ * taking the augments from the inventory, and lists any slot it could not
+ * fill and why.  Each item has its own loadout, which is kept in the save
+ * file.  Loadouts with other names can be made with script calls.
+ *
+ * Compatibility Browser ------------------------------------------------------
+ *
+ * Selecting an augment in the item menu adds a Compatibility command.  It
+ * opens a list of every independent item, weapon and armor the party has,
+ * equipped or not, with a slot the augment fits.  Items it can be installed
+ * on are listed first and marked with the Compatible Marker, the rest with
+ * the Incompatible Marker.  The help window shows what the highlighted item
+ * is missing, the same way as in the augment list.
+ *
+ * Picking an item opens its slots, and picking a slot installs the augment
+ * there, replacing whatever was in it.  The scene closes once the party has
+ * none of the augment left.
+ *
+ * ============================================================================
+ * Plugin Commands
+ * ============================================================================
+ *
+ * These let events install, remove and check augments without script calls.
+ * The target item is given either as an actor's equipment slot, or as an
+ * index into the party's items, weapons or armors (both start at 0).  The
+ * augment is given by its database type and id, and must be in the party's
+ * inventory to be installed.  Augment slots also start at 0.
+ *
+ * The result can be stored in a switch (ON for success) or a variable (1 for
+ * success, 0 for failure).  AugmentHasGrant stores the number of slots
+ * granting the tag in a variable.
+ *
+ * AugmentInstall actor 1 equip 0 slot 0 augment item 12 switch 5
+ *  Installs item 12 in the first slot of actor 1's first equipment.
+ *
+ * AugmentRemove party weapon 3 slot 1 variable 8
+ *  Removes the augment in the second slot of the party's fourth weapon.
+ *
+ * AugmentCheck actor 2 equip 1 slot 0 augment armor 4 switch 6
+ *  Checks whether armor 4 could be installed, without installing it.
+ *
+ * AugmentHasGrant actor 1 equip 0 tag hacked switch 7
+ *  Checks whether the item has been granted the tag "aug_hacked".
+ *
  * ============================================================================
  * Usage - JavaScript
  * ============================================================================
@@ -124,8 +685,10 @@ Kaos.Augment = Kaos.Augment || {};
  * Returns either true (default) or the index of the specified tag if the
  * independent item/weapon/armor has it, returns false if it does not.
  * Although this can be used on non-independent items, I would recommend using
- * Nekoyoubi's [Object].hasTag("plant") instead, from NeMV_Tags.js.
- * An asterisk can be used to do a partial check, e.g. "illegal*".
+ * [Object].hasTag("plant") instead, from NeMV_Tags.js or this plugin.
+ * An asterisk can be used to match any number of characters, e.g. "illegal*"
+ * or "*_mk*", and a question mark matches any single character.  Put a
+ * backslash before either to match it literally.
  *
  * item == The independent item/weapon/armor you wish to check.
  * tag  == The tag you are searching for (remember granted tags are given the
@@ -146,6 +709,26 @@ Kaos.Augment = Kaos.Augment || {};
  * The second example would return the index of the "radioactive" tag, and
  * setting the variable index to that number.
  *
+ * Kaos.Augment.grantCount(item, grant);
+ *
+ * Returns how many of the independent item's slots currently grant the tag.
+ * The "aug_" prefix is optional.
+ *
+ * Example: Kaos.Augment.grantCount($gameActors.actor(1).equips()[0], "hacked");
+ *
+ * Database Validation --------------------------------------------------------
+ *
+ * Kaos.Augment.validateDatabase();
+ *
+ * Checks every item, weapon and armor and returns a list of problems, also
+ * printing each one to the console.  It reports augments that require a tag
+ * nothing in the database has (often a typo), augments with a rejection
+ * string but no requirements, granted tags that no augment requires or
+ * conflicts with and no Granted Tag notetag uses, and Granted Tag notetags
+ * matching no granted tag.  Granted tags only checked by events or other
+ * plugins will still be reported.  This runs automatically at boot during
+ * playtest unless the Validate Database parameter is false.
+ *
  * Party Wide Requirement Check -----------------------------------------------
  *
  * Kaos.Augment.partyItemsWithReq(req);
@@ -155,6 +738,57 @@ Kaos.Augment = Kaos.Augment || {};
  *
  * Example: Kaos.Augment.partyItemsWithReq("canFullAuto");
  *
+ * Party Wide Item Queries ----------------------------------------------------
+ *
+ * These search everything the party has, equipped or in the inventory.  The
+ * find functions return a list of { item: item, actor: actor } entries, where
+ * actor is whoever has the item equipped, or null if it is in the inventory.
+ * An augment can be given as the augment itself, its item id, or a key such
+ * as "weapon 3".
+ *
+ * Kaos.Augment.findItemsWithTag(tag);       Items with a matching tag.
+ * Kaos.Augment.findItemsWithGrant(grant);   Items granted a matching tag.
+ * Kaos.Augment.findItemsWithAugment(aug);   Items with the augment installed.
+ * Kaos.Augment.countInstalled(aug);         Slots with the augment installed.
+ * Kaos.Augment.whoEquips(item);             The actor equipping it, or null.
+ *
+ * Example:
+ *  var hacked = Kaos.Augment.findItemsWithGrant("hacked");
+ *  if (hacked.length > 0 && hacked[0].actor) {
+ *    $gameVariables.setValue(5, hacked[0].actor.actorId());
+ *  }
+ *
+ * Event Hooks ----------------------------------------------------------------
+ *
+ * Kaos.Augment.on(event, callback);
+ * Kaos.Augment.off(event, callback);
+ *
+ * Other plugins can follow augment changes by adding a callback for one of
+ * these events.  Each callback is given one object with item, augment, slotId
+ * and actor (whoever has the item equipped, or null).
+ *
+ * beforeInstall == The augment is about to be installed.  Return false to stop
+ *                  it, or a string to stop it and show that string as the
+ *                  rejection text.  Otherwise the Veto Rejection parameter is
+ *                  shown, which can be replaced per augment with
+ *                  <Augment Rejection Veto: text>.
+ * install       == The augment was installed.
+ * reject        == The augment was not installed, or could not be removed.
+ *                  failed lists why, using the same keys as <Augment
+ *                  Rejection req: text>.  A blocked removal gives DEPENDENTS.
+ *                  Since 1.25.1, tag requirements have TAG in front, e.g.
+ *                  TAG CANFULLAUTO rather than CANFULLAUTO.
+ * remove        == The augment was removed, replaced or expired.
+ *
+ * install, reject and remove are only sent once the change has gone through.
+ * Undo and Revert All Changes send remove and install for the slots they
+ * change back, with undo set to true in the data.
+ *
+ * Example:
+ *  Kaos.Augment.on('beforeInstall', function(data) {
+ *    if (data.actor && data.actor.isStateAffected(4)) return "Not now!";
+ *  });
+ *
  * Script Calls to Install or Remove Augments (USE AT YOUR OWN RISK) ----------
  *
  * I managed to put these two functions together that seem to follow the
@@ -162,23 +796,25 @@ Kaos.Augment = Kaos.Augment || {};
  * them in my own game so that I can use events to add and remove augments, but
  * I don't want to guarantee them yet.
  *
- * Kaos.Augment.installAugmentToSlot(item, effectItem, slotId, [gain]);
+ * Kaos.Augment.installAugmentToSlot(item, effectItem, slotId, [gain],
+ *   [outcome]);
  * Kaos.Augment.removeAugmentFromSlot(item, slotId, [gain]);
  *
  * Installs the specified augment to the specified slot on the specified item.
  * This will fail if the augment doesn't meet the requirements, or if the slot
  * types are not set up correctly on either the augment or the target.
+ * installAugmentToSlot returns true if the augment was installed.
  *
  * item       == Target item/weapon/armor with the correct slot type.
  * effectItem == Augment item.
  * slotId     == Slot ID on the item, starts at 0.
- * gain       == Modify whether the augment is consumed on installation, and
- *               how many you get back on removal, defaults to 0, resulting in
- *               one being removed on installation and one being returned on
- *               removal.
+ * gain       == How many of the augment are taken from the party on
+ *               installation, or given back on removal.  Defaults to 1.
+ * outcome    == An object that is given failed, the keys of why the install
+ *               was rejected, and text, its rejection text.
  *
  * Examples:
- *  Kaos.Augment.installAugmenttoSlot($gameParty.items()[5],
+ *  Kaos.Augment.installAugmentToSlot($gameParty.items()[5],
  *    $gameParty.items()[2], 0);
  *   ... or ...
  *  Kaos.Augment.removeAugmentFromSlot($gameActors.actor(1).equips()[2], 1);
@@ -190,10 +826,39 @@ Kaos.Augment = Kaos.Augment || {};
  * Remove the augment from the second slot on the first actor's third equipped
  * item.
  *
+ * Loadouts -------------------------------------------------------------------
+ *
+ * Kaos.Augment.saveLoadout(item, name);
+ * Kaos.Augment.applyLoadout(item, name);
+ * Kaos.Augment.deleteLoadout(name);
+ * Kaos.Augment.exportLoadouts([names]);
+ * Kaos.Augment.importLoadouts(json);
+ *
+ * saveLoadout records which augment is in each of the item's slots under the
+ * name.  applyLoadout changes the item's slots to match, checking each augment
+ * as if it were installed by hand, and returns a report:
+ *
+ * filled == Slot ids that were filled.
+ * failed == One { slotId, augment, reasons, text } for each slot that could
+ *           not be changed.  reasons uses the same keys as <Augment Rejection
+ *           req: text>, plus MISSING when the party does not have the augment
+ *           and SLOT when it does not fit.  Since 1.25.1, tag requirements
+ *           have TAG in front, e.g. TAG CANFULLAUTO rather than CANFULLAUTO.
+ *
+ * exportLoadouts returns the named loadouts, or all of them, as a JSON string.
+ * importLoadouts adds the loadouts in such a string, replacing any with the
+ * same name, and returns their names, or null if the string is not valid.
+ * An item's own loadout is named after it, e.g. "weapon 105".
+ *
+ * Example:
+ *  var report = Kaos.Augment.applyLoadout($gameActors.actor(1).equips()[0],
+ *    "stealth");
+ *  $gameSwitches.setValue(9, report && report.failed.length === 0);
+ *
  * Modifying Requirements, Grants, or the Rejection String --------------------
  *
- * Any of these can be used to check or modify an augment.  They will not work
- * on any weapons or armors, nor any independent items.
+ * Any of these can be used to check or modify an augment, whether it is an
+ * item, weapon or armor.  They will not work on independent items.
  *
  * [object].hasReq(req);
  * [object].removeReq(req);
@@ -203,21 +868,266 @@ Kaos.Augment = Kaos.Augment || {};
  * [object].addGrant(grant);
  * [object].removeReject();
  * [object].replaceReject(reject);
+ * [object].removeReqReject(req);
+ * [object].replaceReqReject(req, reject);
+ *
+ * Changes made with these are stored in the save file, and are put back when
+ * that save is loaded.  Starting a new game or loading a different save
+ * returns every augment to its notetags before applying that save's changes.
  *
  * ============================================================================
  * Changelog
  * ============================================================================
  *
+ * Version 1.25.1:
+ * - Tag requirements are listed with TAG in front, e.g. TAG CANFULLAUTO, in
+ *   the failed list of the reject event and the reasons of applyLoadout
+ *   reports.  A tag named like a built-in key, such as unique, takes its
+ *   rejection string from <Augment Rejection Tag unique: text>.
+ * - Undo and Revert All Changes send remove and install events, and drop the
+ *   common events queued by the changes they take back.
+ * - installAugmentToSlot takes an optional outcome object for why an install
+ *   was rejected.  Loadout reports keep each slot's own veto text.
+ *
+ * Version 1.25.0:
+ * - Added <Augment Max Per Item>, <Augment Max Per Actor> and
+ *   <Augment Max Per Party>.
+ *
+ * Version 1.24.0:
+ * - Added the Compatibility command to the item menu for augments, listing
+ *   the items they can be installed on.
+ *
+ * Version 1.23.0:
+ * - Added <Augment Requires Actor Tags>.  Augments are suspended while the
+ *   item is equipped by an actor who does not meet them.
+ *
+ * Version 1.22.0:
+ * - Added <Granted Tag Name Prefix/Suffix>, <Granted Tag Description> and
+ *   <Granted Tag Price Rate>.
+ *
+ * Version 1.21.0:
+ * - Added loadouts, with Save Loadout and Apply Loadout commands in the Equip
+ *   Customize scene, and JSON export and import.
+ *
+ * Version 1.20.0:
+ * - Added plugin parameters for the rejection window's position, size, skin,
+ *   opacity, sound effect, fade out and whether it replaces the help window.
+ * - The rejection window now works in the item menu too.
+ *
+ * Version 1.19.0:
+ * - Added Kaos.Augment.on and off for the beforeInstall, install, reject and
+ *   remove events.
+ * - Added <Augment Install/Reject/Remove Common Event>.
+ *
+ * Version 1.18.0:
+ * - NeMV_Tags.js is no longer required.  <Tags: ...> notetags are read by
+ *   this plugin when it is missing.
+ *
+ * Version 1.17.0:
+ * - Added <Augment Set> and <Augment Set Bonus> for bonuses from installing
+ *   several augments of the same set on one item.
+ *
+ * Version 1.16.0:
+ * - Installing and removing augments is all or nothing.
+ * - Added Undo and Revert All Changes commands to the Equip Customize scene.
+ * - Fixed installAugmentToSlot taking the augment from the party twice.
+ *
+ * Version 1.15.0:
+ * - Added <Augment Duration> for augments that expire after a number of
+ *   battles, steps or seconds.
+ *
+ * Version 1.14.0:
+ * - Added <Augment Success Rate> and <Augment Failure> outcomes.
+ *
+ * Version 1.13.0:
+ * - Removing an augment that others depend on is blocked or cascades,
+ *   chosen by the Dependent Removal parameter or <Augment Dependents>.
+ *
+ * Version 1.12.0:
+ * - Added an index of party items, with findItemsWithTag, findItemsWithGrant,
+ *   findItemsWithAugment, countInstalled and whoEquips.
+ *
+ * Version 1.11.0:
+ * - Tag wildcards are matched by one cached matcher that supports several *,
+ *   ? and backslash escapes.
+ *
+ * Version 1.10.0:
+ * - Added Kaos.Augment.validateDatabase, run at boot during playtest.
+ *
+ * Version 1.9.0:
+ * - Added the AugmentInstall, AugmentRemove, AugmentCheck and AugmentHasGrant
+ *   plugin commands.
+ * - installAugmentToSlot only takes the augment from the party, and returns
+ *   true, when it was installed.
+ *
+ * Version 1.8.0:
+ * - The augment list dims or hides augments that cannot be installed, and
+ *   previews granted tags and missing requirements in the help window.
+ *
+ * Version 1.7.0:
+ * - Granted tags are tracked per slot, and rebuilt when a save is loaded.
+ * - Fixed one shared grant stopping the others from being removed.
+ *
+ * Version 1.6.0:
+ * - Runtime changes to requirements, grants and rejection strings are now
+ *   stored in save data.
+ *
+ * Version 1.5.0:
+ * - Weapons and armors can now be augments with requirements, grants and
+ *   rejection strings.
+ *
+ * Version 1.4.0:
+ * - Added <Augment Conflicts With Tags> and <Augment Unique Per Item>.
+ * - Removing an augment no longer shows an empty rejection window.
+ *
+ * Version 1.3.0:
+ * - Added level, class, actor, switch, variable and param requirements.
+ *
+ * Version 1.2.0:
+ * - Added <Augment Rejection req: text> and the \MISSINGTAGS text code.
+ *
+ * Version 1.1.0:
+ * - <Augment Requires Tags> accepts |, &, !, parentheses and wildcards.
+ *
  * Version 1.0.0:
  * - initial plugin
  *
  */
 //=============================================================================
 
+// PARAMETERS -----------------------------------------------------------------
+
+Kaos.Augment.Parameters = PluginManager.parameters('Kaos_AugmentRequirements');
+Kaos.Augment.Param = Kaos.Augment.Param || {};
+
+// Returns a sound effect parameter, or its default if the plugin list was
+// saved before it existed.  An empty value is kept, and plays nothing.
+Kaos.Augment.soundParam = function(name, defaultSe) {
+  var se = Kaos.Augment.Parameters[name];
+  return String(se !== undefined ? se : defaultSe);
+};
+
+// Rejection text used for a failed requirement key that has no rejection
+// string of its own on the augment.
+Kaos.Augment.Param.DefaultRejections = {
+  CONFLICT: String(Kaos.Augment.Parameters['Conflict Rejection'] ||
+    'This conflicts with another installed augment.'),
+  UNIQUE: String(Kaos.Augment.Parameters['Unique Rejection'] ||
+    'Only one of these can be installed per item.'),
+  'MAX ITEM': String(Kaos.Augment.Parameters['Max Item Rejection'] ||
+    'Only %1 of these can be installed per item.'),
+  'MAX ACTOR': String(Kaos.Augment.Parameters['Max Actor Rejection'] ||
+    'Only %1 of these can be installed per actor.'),
+  'MAX PARTY': String(Kaos.Augment.Parameters['Max Party Rejection'] ||
+    'Only %1 of these can be installed across the party.'),
+  DEPENDENTS: String(Kaos.Augment.Parameters['Dependent Rejection'] ||
+    'Other installed augments depend on this one.'),
+  VETO: String(Kaos.Augment.Parameters['Veto Rejection'] ||
+    'This augment cannot be installed right now.'),
+  MISSING: String(Kaos.Augment.Parameters['Missing Rejection'] ||
+    "You don't have this augment."),
+  SLOT: String(Kaos.Augment.Parameters['Slot Rejection'] ||
+    "This augment doesn't fit that slot."),
+  'FAILURE DESTROY': String(Kaos.Augment.Parameters['Failure Destroy Text'] ||
+    'The augment was destroyed during installation!'),
+  'FAILURE KEEP': String(Kaos.Augment.Parameters['Failure Keep Text'] ||
+    'The installation failed.'),
+  'FAILURE DAMAGE': String(Kaos.Augment.Parameters['Failure Damage Text'] ||
+    'The installation failed and damaged the item!')
+};
+
+Kaos.Augment.Param.FailureSe = {
+  destroy: Kaos.Augment.soundParam('Failure Destroy SE', 'Break'),
+  keep: Kaos.Augment.soundParam('Failure Keep SE', 'Buzzer2'),
+  damage: Kaos.Augment.soundParam('Failure Damage SE', 'Damage3')
+};
+Kaos.Augment.Param.FailureDamageRate =
+  Number(Kaos.Augment.Parameters['Failure Damage Rate'] || 10);
+Kaos.Augment.Param.ExpireMessage =
+  String(Kaos.Augment.Parameters['Expire Message'] || '%2 on %1 has expired.');
+Kaos.Augment.Param.DurationText = {
+  battles: String(Kaos.Augment.Parameters['Battles Left'] || '\\C[6]%1 battles'),
+  steps: String(Kaos.Augment.Parameters['Steps Left'] || '\\C[6]%1 steps'),
+  seconds: String(Kaos.Augment.Parameters['Time Left'] || '\\C[6]%1')
+};
+
+Kaos.Augment.Param.RejectionWindow = {
+  x: String(Kaos.Augment.Parameters['Rejection Window X'] || 'helpWindow.x'),
+  y: String(Kaos.Augment.Parameters['Rejection Window Y'] || 'helpWindow.y'),
+  width: String(Kaos.Augment.Parameters['Rejection Window Width'] || 'helpWindow.width'),
+  height: String(Kaos.Augment.Parameters['Rejection Window Height'] ||
+    'helpWindow.height'),
+  skin: String(Kaos.Augment.Parameters['Rejection Window Skin'] || 'Window'),
+  opacity: Number(Kaos.Augment.Parameters['Rejection Window Opacity'] || 192),
+  se: Kaos.Augment.soundParam('Rejection SE', 'Buzzer1'),
+  duration: Number(Kaos.Augment.Parameters['Rejection Duration'] || 180),
+  fade: Math.max(Number(Kaos.Augment.Parameters['Rejection Fade'] || 20), 1),
+  replace: String(Kaos.Augment.Parameters['Rejection Mode'] ||
+    'overlay').toLowerCase().trim() === 'replace'
+};
+
+Kaos.Augment.Param.DependentRemoval =
+  String(Kaos.Augment.Parameters['Dependent Removal'] || 'block').toLowerCase().trim();
+
+Kaos.Augment.Param.HideIncompatible =
+  String(Kaos.Augment.Parameters['Hide Incompatible']) === 'true';
+Kaos.Augment.Param.IncompatibleMarker =
+  String(Kaos.Augment.Parameters['Incompatible Marker'] || '[X]');
+Kaos.Augment.Param.UndoCommand =
+  String(Kaos.Augment.Parameters['Undo Command'] || 'Undo');
+Kaos.Augment.Param.RevertCommand =
+  String(Kaos.Augment.Parameters['Revert Command'] || 'Revert All Changes');
+Kaos.Augment.Param.SaveLoadoutCommand =
+  String(Kaos.Augment.Parameters['Save Loadout Command'] || 'Save Loadout');
+Kaos.Augment.Param.ApplyLoadoutCommand =
+  String(Kaos.Augment.Parameters['Apply Loadout Command'] || 'Apply Loadout');
+Kaos.Augment.Param.LoadoutSavedText =
+  String(Kaos.Augment.Parameters['Loadout Saved Text'] || 'Loadout saved.');
+Kaos.Augment.Param.LoadoutAppliedText =
+  String(Kaos.Augment.Parameters['Loadout Applied Text'] || 'Loadout applied.');
+Kaos.Augment.Param.LoadoutSlotText =
+  String(Kaos.Augment.Parameters['Loadout Slot Text'] || 'Slot %1: %2');
+Kaos.Augment.Param.BrowseCommand =
+  String(Kaos.Augment.Parameters['Browse Command'] || 'Compatibility');
+Kaos.Augment.Param.CompatibleMarker =
+  String(Kaos.Augment.Parameters['Compatible Marker'] || '[OK]');
+Kaos.Augment.Param.BrowserSlotText =
+  String(Kaos.Augment.Parameters['Browser Slot Text'] || '%1: %2');
+Kaos.Augment.Param.BrowserEmptySlot =
+  String(Kaos.Augment.Parameters['Browser Empty Slot'] || 'Empty');
+Kaos.Augment.Param.ValidateDatabase =
+  String(Kaos.Augment.Parameters['Validate Database'] || 'true') === 'true';
+Kaos.Augment.Param.GrantsPreview =
+  String(Kaos.Augment.Parameters['Grants Preview'] || '');
+Kaos.Augment.Param.MissingPreview =
+  String(Kaos.Augment.Parameters['Missing Preview'] || '');
+
 // INITIALIZATION -------------------------------------------------------------
 
 Kaos.Augment.init = function() {
-	if ($dataItems !== null && $dataItems !== undefined) this.processNotetags($dataItems);
+	if ($dataItems !== null && $dataItems !== undefined) this.processTags($dataItems);
+	if ($dataWeapons !== null && $dataWeapons !== undefined) this.processTags($dataWeapons);
+	if ($dataArmors !== null && $dataArmors !== undefined) this.processTags($dataArmors);
+	if ($dataActors !== null && $dataActors !== undefined) this.processTags($dataActors);
+	if ($dataClasses !== null && $dataClasses !== undefined) this.processTags($dataClasses);
+	[$dataItems, $dataWeapons, $dataArmors].forEach(function(data) {
+		if (data !== null && data !== undefined) this.processNotetags(data);
+	}, this);
+};
+
+// Gives every object without a tags array from NeMV_Tags.js one made from its
+// <Tags: ...> notetags, along with NeMV's hasTag.
+Kaos.Augment.processTags = function(data) {
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    Kaos.Augment.tags(obj);
+    if (!obj.hasTag) {
+      obj.hasTag = function(tag) {
+        return Kaos.Augment.hasTag(this, tag);
+      };
+    }
+  }
 };
 
 Kaos.Augment.processNotetags = function(data) {
@@ -231,18 +1141,22 @@ Kaos.Augment.processNotetags = function(data) {
 			return Kaos.Augment.baseHasReqs(req, this.augmentRequirements);
 		};
 		obj.removeReq = function(req) {
-			var index = this.augmentRequirements.indexOf(req.toUpperCase());
+			req = Kaos.Augment.normalizeRequirement(req);
+			var index = this.augmentRequirements.indexOf(req);
 			if (index > -1) this.augmentRequirements.splice(index, 1);
+			Kaos.Augment.recordOverride(this);
 		};
 		obj.addReq = function(req) {
-			this.removeReq(req.toUpperCase());
-			this.augmentRequirements.push(req.toUpperCase());
+			req = Kaos.Augment.normalizeRequirement(req);
+			this.removeReq(req);
+			this.augmentRequirements.push(req);
+			Kaos.Augment.recordOverride(this);
 		};
 		for (var i = 0; i < notelines.length; i++) {
 			var line = notelines[i];
 			lineMatch = line.match(reqsRegex);
 			if (lineMatch) {
-				var reqData = lineMatch[1].toUpperCase().match(/\w+/gi);
+				var reqData = Kaos.Augment.splitRequirements(lineMatch[1]);
 	    		obj.augmentRequirements = obj.augmentRequirements.concat(reqData);
 			}
 		}
@@ -259,10 +1173,12 @@ Kaos.Augment.processNotetags = function(data) {
     obj.removeGrant = function(grant) {
       var index = this.augmentGrantedTags.indexOf(grant.toUpperCase());
       if (index > -1) this.augmentGrantedTags.splice(index, 1);
+      Kaos.Augment.recordOverride(this);
     };
     obj.addGrant = function(grant) {
       this.removeGrant(grant.toUpperCase());
       this.augmentGrantedTags.push(grant.toUpperCase());
+      Kaos.Augment.recordOverride(this);
     };
     for (var i = 0; i < notelines.length; i++) {
       var line = notelines[i];
@@ -284,10 +1200,20 @@ Kaos.Augment.processNotetags = function(data) {
     };
     obj.removeReject = function() {
 			this.augmentRejectionString = "";
+      Kaos.Augment.recordOverride(this);
     };
     obj.replaceReject = function(reject) {
       this.removeReject();
       this.augmentRejectionString = reject;
+      Kaos.Augment.recordOverride(this);
+    };
+    obj.removeReqReject = function(req) {
+      delete this.augmentRejectionStrings[Kaos.Augment.normalizeRequirementKey(req)];
+      Kaos.Augment.recordOverride(this);
+    };
+    obj.replaceReqReject = function(req, reject) {
+      this.augmentRejectionStrings[Kaos.Augment.normalizeRequirementKey(req)] = reject;
+      Kaos.Augment.recordOverride(this);
     };
     for (var i = 0; i < notelines.length; i++) {
       var line = notelines[i];
@@ -298,116 +1224,720 @@ Kaos.Augment.processNotetags = function(data) {
       }
     }
   }
-};
-
-// BASE METHODS ---------------------------------------------------------------
-
-Kaos.Augment.baseHasReqs = function(req, reqs) {
-	for (var r = 0; r < reqs.length; r++) {
-		req = req.toUpperCase();
-		var regex = "^"+req+"$";
-		if (req.indexOf("*") >= 0) {
-			if (req.charAt(0) == "*") {
-				regex = req.replace("*","")+"$";
-			} else if (req.charAt(req.length-1) == "*") {
-				regex = "^"+req.replace("*","");
-			} else {
-				regex = "^"+req.replace("*","\\w*")+"$";
-			}
-		}
-		var currentReq = reqs[r].toUpperCase();
-		var exp = new RegExp(regex, "i");
-		if (exp.exec(currentReq) !== null)
-			return true;
-	}
-	return false;
-};
-
-Kaos.Augment.baseHasGrants = function(grant, grants) {
-	for (var g = 0; g < grants.length; g++) {
-		grant = grant.toUpperCase();
-		var regex = "^"+grant+"$";
-		if (grant.indexOf("*") >= 0) {
-			if (grant.charAt(0) == "*") {
-				regex = grant.replace("*","")+"$";
-			} else if (grant.charAt(grant.length-1) == "*") {
-				regex = "^"+grant.replace("*","");
-			} else {
-				regex = "^"+grant.replace("*","\\w*")+"$";
-			}
-		}
-		var currentGrant = grants[g].toUpperCase();
-		var exp = new RegExp(regex, "i");
-		if (exp.exec(currentGrant) !== null)
-			return true;
-	}
-	return false;
-};
-
-Kaos.Augment.baseHasRejectString = function(reject, rejects) {
-	for (var r = 0; r < rejects.length; r++) {
-		reject = reject.toUpperCase();
-		var regex = "^"+reject+"$";
-		if (reject.indexOf("*") >= 0) {
-			if (reject.charAt(0) == "*") {
-				regex = reject.replace("*","")+"$";
-			} else if (reject.charAt(reject.length-1) == "*") {
-				regex = "^"+reject.replace("*","");
-			} else {
-				regex = "^"+reject.replace("*","\\w*")+"$";
-			}
-		}
-		var currentReject = rejects[r].toUpperCase();
-		var exp = new RegExp(regex, "i");
-		if (exp.exec(currentReject) !== null)
-			return true;
-	}
-	return false;
-};
-
-// OVERRIDES ------------------------------------------------------------------
-
-Kaos.Augment.Scene_Boot_terminate = Scene_Boot.prototype.terminate;
-Scene_Boot.prototype.terminate = function() {
-  Kaos.Augment.Scene_Boot_terminate.call(this);
-  Kaos.Augment.init();
-};
-
-// OVERRIDE YEP_X_AttachAugments ==============================================
-// Learn how to use the above override method to make similar less intrusive
-// overrides.
-
-ItemManager.applyAugmentEffects = function(item, effectItem, slotId, gain) {
-  if (!item) return;
-
-  // Kaos pre-augment checks --------------------------------------------------
-  if (effectItem) {
-    var okToInstall = Kaos.Augment.checkRequirements(effectItem, item);
-    if (okToInstall) Kaos.Augment.addGrantedTags(item, effectItem);
+  var actorReqsRegex = /<(?:AUGMENT REQUIRES ACTOR TAGS):[ ](.*)>/i;
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    obj.augmentActorRequirements = obj.augmentActorRequirements || [];
+    var notelines = obj.note.split(/[\r\n]+/);
+    for (var i = 0; i < notelines.length; i++) {
+      lineMatch = notelines[i].match(actorReqsRegex);
+      if (lineMatch) {
+        var actorReqData = Kaos.Augment.splitRequirements(lineMatch[1]);
+        obj.augmentActorRequirements = obj.augmentActorRequirements.concat(actorReqData);
+      }
+    }
   }
-  // --------------------------------------------------------------------------
-
-  if (okToInstall || !effectItem) {
+  var condRegex = /<(?:AUGMENT REQUIRES)[ ](LEVEL|CLASS|ACTOR|SWITCH):[ ]*(.*)>/i;
+  var compareRegex =
+    /<(?:AUGMENT REQUIRES)[ ](VARIABLE|PARAM)[ ]+(\w+)[ ]*([<>!=]?=|[<>])[ ]*(-?\d+)>/i;
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    obj.augmentConditions = obj.augmentConditions || [];
+    var notelines = obj.note.split(/[\r\n]+/);
+    for (var i = 0; i < notelines.length; i++) {
+      var line = notelines[i];
+      lineMatch = line.match(condRegex);
+      if (lineMatch) {
+        var type = lineMatch[1].toUpperCase();
+        var ids = (lineMatch[2].match(/\d+/g) || []).map(Number);
+        if (type === "LEVEL") {
+          obj.augmentConditions.push({ key: type, type: 'level', value: ids[0] || 1 });
+        } else if (type === "SWITCH") {
+          for (var w = 0; w < ids.length; w++) {
+            obj.augmentConditions.push({ key: type + " " + ids[w], type: 'switch',
+              id: ids[w] });
+          }
+        } else {
+          obj.augmentConditions.push({ key: type, type: type.toLowerCase(), ids: ids });
+        }
+      }
+      lineMatch = line.match(compareRegex);
+      if (lineMatch) {
+        var type = lineMatch[1].toUpperCase();
+        var id = lineMatch[2].toUpperCase();
+        obj.augmentConditions.push({ key: type + " " + id, type: type.toLowerCase(),
+          id: (type === "VARIABLE") ? Number(id) : id, operator: lineMatch[3],
+          value: Number(lineMatch[4]) });
+      }
+    }
+  }
+  var conflictRegex = /<(?:AUGMENT CONFLICTS WITH TAGS):[ ](.*)>/i;
+  var uniqueRegex = /<(?:AUGMENT UNIQUE PER ITEM)>/i;
+  var maxRegex = /<(?:AUGMENT MAX PER)[ ](ITEM|ACTOR|PARTY):[ ]*(\d+)>/i;
+  var dependentsRegex = /<(?:AUGMENT DEPENDENTS):[ ]*(BLOCK|CASCADE|ALLOW)>/i;
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    obj.augmentConflicts = obj.augmentConflicts || [];
+    obj.augmentUniquePerItem = obj.augmentUniquePerItem || false;
+    obj.augmentMax = obj.augmentMax || {};
+    obj.augmentDependentRemoval = obj.augmentDependentRemoval || '';
+    var notelines = obj.note.split(/[\r\n]+/);
+    for (var i = 0; i < notelines.length; i++) {
+      var line = notelines[i];
+      lineMatch = line.match(conflictRegex);
+      if (lineMatch) {
+        var conflictData = lineMatch[1].toUpperCase().match(/(?:\\.|[\w*?])+/g) || [];
+        obj.augmentConflicts = obj.augmentConflicts.concat(conflictData);
+      }
+      if (line.match(uniqueRegex)) obj.augmentUniquePerItem = true;
+      lineMatch = line.match(maxRegex);
+      if (lineMatch) obj.augmentMax[lineMatch[1].toLowerCase()] = Number(lineMatch[2]);
+      lineMatch = line.match(dependentsRegex);
+      if (lineMatch) obj.augmentDependentRemoval = lineMatch[1].toLowerCase();
+    }
+  }
+  var rateRegex = /<(?:AUGMENT SUCCESS RATE):[ ]*(\d+(?:\.\d+)?)%?>/i;
+  var rateEvalRegex = /<(?:AUGMENT SUCCESS RATE EVAL):[ ](.*)>/i;
+  var failureRegex =
+    /<(?:AUGMENT FAILURE):[ ]*(DESTROY|KEEP|DAMAGE(?:[ ]ITEM)?)(?:[ ]+(\d+)%)?>/i;
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    obj.augmentSuccessRate = obj.augmentSuccessRate || '';
+    obj.augmentFailure = obj.augmentFailure || 'keep';
+    obj.augmentFailureDamageRate = obj.augmentFailureDamageRate ||
+      Kaos.Augment.Param.FailureDamageRate;
+    var notelines = obj.note.split(/[\r\n]+/);
+    for (var i = 0; i < notelines.length; i++) {
+      var line = notelines[i];
+      lineMatch = line.match(rateRegex) || line.match(rateEvalRegex);
+      if (lineMatch) obj.augmentSuccessRate = lineMatch[1];
+      lineMatch = line.match(failureRegex);
+      if (lineMatch) {
+        obj.augmentFailure = lineMatch[1].split(" ")[0].toLowerCase();
+        if (lineMatch[2]) obj.augmentFailureDamageRate = Number(lineMatch[2]);
+      }
+    }
+  }
+  var durationRegex = /<(?:AUGMENT DURATION):[ ]*(\d+)[ ]*(BATTLE|STEP|SECOND)S?>/i;
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    obj.augmentDuration = obj.augmentDuration || null;
+    var notelines = obj.note.split(/[\r\n]+/);
+    for (var i = 0; i < notelines.length; i++) {
+      lineMatch = notelines[i].match(durationRegex);
+      if (lineMatch) {
+        obj.augmentDuration = { type: lineMatch[2].toLowerCase() + "s",
+          value: Number(lineMatch[1]) };
+      }
+    }
+  }
+  var setRegex = /<(?:AUGMENT SET):[ ]*(.*)>/i;
+  var bonusRegex = /<(?:AUGMENT SET BONUS):[ ]*(.*?)[ ]+(\d+)>/i;
+  var bonusEndRegex = /<\/(?:AUGMENT SET BONUS)>/i;
+  var bonusLineRegex = /^[ ]*(GRANTS|ATTACH EVAL|DETACH EVAL):[ ]*(.*)/i;
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    obj.augmentSet = obj.augmentSet || '';
+    var bonus = null;
+    var notelines = obj.note.split(/[\r\n]+/);
+    for (var i = 0; i < notelines.length; i++) {
+      var line = notelines[i];
+      if (bonus) {
+        if (line.match(bonusEndRegex)) {
+          bonus = null;
+          continue;
+        }
+        lineMatch = line.match(bonusLineRegex);
+        if (!lineMatch) continue;
+        var key = lineMatch[1].toUpperCase();
+        if (key === "GRANTS") {
+          var bonusGrants = lineMatch[2].toUpperCase().match(/\w+/gi) || [];
+          bonus.augmentGrantedTags = bonus.augmentGrantedTags.concat(bonusGrants);
+        } else if (key === "ATTACH EVAL") {
+          bonus.attachEval += lineMatch[2] + "\n";
+        } else {
+          bonus.detachEval += lineMatch[2] + "\n";
+        }
+        continue;
+      }
+      lineMatch = line.match(bonusRegex);
+      if (lineMatch) {
+        bonus = Kaos.Augment.setBonus(lineMatch[1], Number(lineMatch[2]));
+        continue;
+      }
+      lineMatch = line.match(setRegex);
+      if (lineMatch) obj.augmentSet = lineMatch[1].trim().toUpperCase();
+    }
+  }
+  var decoratorRegex = new RegExp("<(?:GRANTED TAG)[ ]" +
+    "(NAME PREFIX|NAME SUFFIX|DESCRIPTION|PRICE RATE):[ ]*([^,>]+),[ ]*(.*)>", "i");
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    var notelines = obj.note.split(/[\r\n]+/);
+    for (var i = 0; i < notelines.length; i++) {
+      lineMatch = notelines[i].match(decoratorRegex);
+      if (lineMatch) {
+        Kaos.Augment.addDecorator(lineMatch[1].toUpperCase(), lineMatch[2], lineMatch[3]);
+      }
+    }
+  }
+  var eventRegex =
+    /<(?:AUGMENT)[ ](INSTALL|REJECT|REMOVE)[ ](?:COMMON EVENT):[ ]*(\d+)>/i;
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    obj.augmentCommonEvents = obj.augmentCommonEvents || {};
+    var notelines = obj.note.split(/[\r\n]+/);
+    for (var i = 0; i < notelines.length; i++) {
+      lineMatch = notelines[i].match(eventRegex);
+      if (lineMatch) {
+        obj.augmentCommonEvents[lineMatch[1].toLowerCase()] = Number(lineMatch[2]);
+      }
+    }
+  }
+  var reqRejectRegex = /<(?:AUGMENT REJECTION)[ ](.+?):[ ](.*)>/i;
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    obj.augmentRejectionStrings = obj.augmentRejectionStrings || {};
+    var notelines = obj.note.split(/[\r\n]+/);
+    for (var i = 0; i < notelines.length; i++) {
+      var line = notelines[i];
+      lineMatch = line.match(reqRejectRegex);
+      if (lineMatch && lineMatch[1].toUpperCase() !== "STRING") {
+        var req = Kaos.Augment.normalizeRequirementKey(lineMatch[1]);
+        obj.augmentRejectionStrings[req] = lineMatch[2];
+      }
+    }
+  }
+  for (var n = 1; n < data.length; n++) {
+    var obj = data[n];
+    if (obj === null || obj === undefined) continue;
+    obj._augmentDefaults = Kaos.Augment.augmentState(obj);
+  }
+};
+
+// BASE METHODS ---------------------------------------------------------------
+// Tag patterns are matched as globs, not case sensitive: * matches any run of
+// characters, ? matches any one character, and a backslash makes the next
+// character literal.  Each pattern is compiled once and cached.
+
+Kaos.Augment._patternCache = {};
+
+Kaos.Augment.tagPattern = function(pattern) {
+	var key = pattern.toUpperCase();
+	var regex = this._patternCache[key];
+	if (regex) return regex;
+	var source = "";
+	for (var c = 0; c < key.length; c++) {
+		var chr = key.charAt(c);
+		if (chr === "*") {
+			source += ".*";
+		} else if (chr === "?") {
+			source += ".";
+		} else {
+			if (chr === "\\" && c + 1 < key.length) chr = key.charAt(++c);
+			source += chr.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+		}
+	}
+	regex = new RegExp("^" + source + "$", "i");
+	this._patternCache[key] = regex;
+	return regex;
+};
+
+Kaos.Augment.matchTag = function(pattern, tag) {
+	return this.tagPattern(pattern).test(tag);
+};
+
+// Returns the index of the last entry in list matching the pattern, or -1.
+Kaos.Augment.lastMatchIndex = function(pattern, list) {
+	var regex = this.tagPattern(pattern);
+	for (var i = list.length - 1; i >= 0; i--) {
+		if (regex.test(list[i])) return i;
+	}
+	return -1;
+};
+
+Kaos.Augment.baseHasReqs = function(req, reqs) {
+	// Expressions are searched by the tags they name, so "smg" is found in
+	// "(SMG|RIFLE)&!SHOTGUN".
+	reqs = reqs.reduce(function(list, current) {
+		return list.concat(Kaos.Augment.requirementTags(current));
+	}, []);
+	return this.lastMatchIndex(req, reqs) >= 0;
+};
+
+Kaos.Augment.baseHasGrants = function(grant, grants) {
+	return this.lastMatchIndex(grant, grants) >= 0;
+};
+
+Kaos.Augment.baseHasRejectString = function(reject, rejects) {
+	if (typeof rejects === "string") rejects = [rejects];
+	return this.lastMatchIndex(reject, rejects) >= 0;
+};
+
+// REQUIREMENT EXPRESSIONS ----------------------------------------------------
+// A requirement is either a single tag or an expression made of tags, |, &, !
+// and parentheses.  Expressions are parsed once and cached by their text.
+
+Kaos.Augment._requirementCache = {};
+
+// Splits the contents of a <Augment Requires Tags> notetag into requirements.
+// Top level commas always separate requirements.  A plain list with no
+// operators is also split on whitespace, as it was before expressions.
+Kaos.Augment.splitRequirements = function(text) {
+  var chunks = [];
+  var depth = 0;
+  var start = 0;
+  for (var c = 0; c < text.length; c++) {
+    var chr = text.charAt(c);
+    if (chr === "(") depth++;
+    else if (chr === ")") depth--;
+    else if (chr === "," && depth <= 0) {
+      chunks.push(text.substring(start, c));
+      start = c + 1;
+    }
+  }
+  chunks.push(text.substring(start));
+  var reqs = [];
+  for (var i = 0; i < chunks.length; i++) {
+    var chunk = chunks[i].trim();
+    if (chunk.length <= 0) continue;
+    if (/[()|&!]/.test(chunk)) {
+      reqs.push(this.normalizeRequirement(chunk));
+    } else {
+      reqs = reqs.concat(chunk.toUpperCase().match(/(?:\\.|[\w*?])+/g) || []);
+    }
+  }
+  return reqs;
+};
+
+// Returns the requirement in the form it is stored in augmentRequirements.
+Kaos.Augment.normalizeRequirement = function(req) {
+  var node = this.parseRequirement(req);
+  return node ? this.requirementToString(node) : req.toUpperCase().trim();
+};
+
+Kaos.Augment.tokenizeRequirement = function(text) {
+  return text.toUpperCase().match(/[()|&!]|[^\s()|&!,]+/g) || [];
+};
+
+// Returns the parsed requirement, or null if it could not be parsed.
+Kaos.Augment.parseRequirement = function(req) {
+  var key = req.toUpperCase().trim();
+  if (this._requirementCache.hasOwnProperty(key)) {
+    return this._requirementCache[key];
+  }
+  var parser = { tokens: this.tokenizeRequirement(key), pos: 0 };
+  var node = this.parseRequirementOr(parser);
+  if (!node || parser.pos < parser.tokens.length) {
+    node = null;
+    if (Utils.isOptionValid('test')) {
+      console.warn("Kaos_AugmentRequirements: could not parse requirement " +
+        "'" + req + "'.");
+    }
+  }
+  this._requirementCache[key] = node;
+  return node;
+};
+
+Kaos.Augment.parseRequirementOr = function(parser) {
+  var operands = [this.parseRequirementAnd(parser)];
+  while (parser.tokens[parser.pos] === "|") {
+    while (parser.tokens[parser.pos] === "|") parser.pos++;
+    operands.push(this.parseRequirementAnd(parser));
+  }
+  if (operands.contains(null)) return null;
+  return operands.length > 1 ? { type: 'or', operands: operands } : operands[0];
+};
+
+// Two operands next to each other with no operator are treated as &.
+Kaos.Augment.parseRequirementAnd = function(parser) {
+  var operands = [this.parseRequirementNot(parser)];
+  for (;;) {
+    var token = parser.tokens[parser.pos];
+    if (token === "&") {
+      while (parser.tokens[parser.pos] === "&") parser.pos++;
+    } else if (token === undefined || token === "|" || token === ")") {
+      break;
+    }
+    operands.push(this.parseRequirementNot(parser));
+  }
+  if (operands.contains(null)) return null;
+  return operands.length > 1 ? { type: 'and', operands: operands } : operands[0];
+};
+
+Kaos.Augment.parseRequirementNot = function(parser) {
+  var token = parser.tokens[parser.pos];
+  if (token === "!") {
+    parser.pos++;
+    var operand = this.parseRequirementNot(parser);
+    return operand ? { type: 'not', operand: operand } : null;
+  }
+  if (token === "(") {
+    parser.pos++;
+    var node = this.parseRequirementOr(parser);
+    if (parser.tokens[parser.pos] !== ")") return null;
+    parser.pos++;
+    return node;
+  }
+  if (token === undefined || /^[)|&]$/.test(token)) return null;
+  parser.pos++;
+  return { type: 'tag', tag: token };
+};
+
+Kaos.Augment.requirementToString = function(node) {
+  switch (node.type) {
+  case 'tag':
+    return node.tag;
+  case 'not':
+    var operand = this.requirementToString(node.operand);
+    if (node.operand.type === 'and' || node.operand.type === 'or') {
+      operand = "(" + operand + ")";
+    }
+    return "!" + operand;
+  case 'and':
+    return node.operands.map(function(operand) {
+      var text = Kaos.Augment.requirementToString(operand);
+      return (operand.type === 'or') ? "(" + text + ")" : text;
+    }).join("&");
+  case 'or':
+    return node.operands.map(function(operand) {
+      return Kaos.Augment.requirementToString(operand);
+    }).join("|");
+  }
+  return "";
+};
+
+// Returns every tag named in the requirement.
+Kaos.Augment.requirementTags = function(req) {
+  var node = this.parseRequirement(req);
+  if (!node) return [];
+  var tags = [];
+  var collect = function(current) {
+    if (current.type === 'tag') tags.push(current.tag);
+    else if (current.type === 'not') collect(current.operand);
+    else current.operands.forEach(collect);
+  };
+  collect(node);
+  return tags;
+};
+
+// Returns true if the item satisfies the requirement.  Requirements that
+// could not be parsed are never satisfied.
+Kaos.Augment.evaluateRequirement = function(req, item) {
+  var node = this.parseRequirement(req);
+  return node ? this.evaluateRequirementNode(node, item) : false;
+};
+
+Kaos.Augment.evaluateRequirementNode = function(node, item) {
+  switch (node.type) {
+  case 'tag':
+    return this.hasTag(item, node.tag);
+  case 'not':
+    return !this.evaluateRequirementNode(node.operand, item);
+  case 'and':
+    return node.operands.every(function(operand) {
+      return Kaos.Augment.evaluateRequirementNode(operand, item);
+    });
+  case 'or':
+    return node.operands.some(function(operand) {
+      return Kaos.Augment.evaluateRequirementNode(operand, item);
+    });
+  }
+  return false;
+};
+
+// OTHER REQUIREMENTS ---------------------------------------------------------
+// Level, class, actor, switch, variable and param requirements.  Each one has
+// a key, such as "LEVEL" or "SWITCH 12", that is used in place of a tag
+// requirement when attaching a rejection string to it.
+
+Kaos.Augment.paramNames = ["MHP", "MMP", "ATK", "DEF", "MAT", "MDF", "AGI", "LUK"];
+
+// Returns the key used for a requirement in augmentRejectionStrings.  Tag
+// requirements are kept apart under "TAG ", e.g. "TAG UNIQUE" for a tag named
+// unique, so they never take the text of a key such as "UNIQUE".
+Kaos.Augment.normalizeRequirementKey = function(req) {
+  var text = req.trim().replace(/\s+/g, " ").toUpperCase();
+  if (this.isRequirementKey(text)) return text;
+  if (text.indexOf("TAG ") === 0) req = req.trim().substring(4);
+  return this.tagRequirementKey(this.normalizeRequirement(req));
+};
+
+// Returns true for the keys of the other requirements and of the default
+// rejections, as opposed to tag requirements.
+Kaos.Augment.isRequirementKey = function(key) {
+  if (Object.keys(Kaos.Augment.Param.DefaultRejections).contains(key)) return true;
+  return /^(?:LEVEL|CLASS|ACTOR|(?:SWITCH|VARIABLE)[ ]\d+|PARAM[ ]\w+)$/.test(key);
+};
+
+Kaos.Augment.tagRequirementKey = function(req) {
+  return "TAG " + req;
+};
+
+// Returns the party member who currently has the item equipped, or null.
+Kaos.Augment.equippingActor = function(item) {
+  if (!item || !$gameParty) return null;
+  var equipped = this.partyIndex().equipped;
+  for (var e = 0; e < equipped.length; e++) {
+    if (equipped[e].item === item) return equipped[e].actor;
+  }
+  return null;
+};
+
+Kaos.Augment.compare = function(a, operator, b) {
+  switch (operator) {
+  case ">=": return a >= b;
+  case "<=": return a <= b;
+  case ">":  return a > b;
+  case "<":  return a < b;
+  case "!=": return a !== b;
+  }
+  return a === b;
+};
+
+// Returns a readable name for a requirement key, e.g. "Level 15" for "LEVEL".
+// Keys with a default rejection, such as "CONFLICT", use their rejection
+// text.  Tag requirements are returned as they are written.
+Kaos.Augment.requirementLabel = function(augment, key) {
+  if (key.indexOf("TAG ") === 0) return key.substring(4);
+  if (Kaos.Augment.Param.DefaultRejections[key] !== undefined) {
+    return Kaos.Augment.keyRejection(augment, key);
+  }
+  var labels = [];
+  (augment.augmentConditions || []).forEach(function(condition) {
+    if (condition.key !== key) return;
+    switch (condition.type) {
+    case 'level':
+      labels.push(TextManager.level + " " + condition.value);
+      break;
+    case 'class':
+      labels.push(condition.ids.map(function(id) {
+        return $dataClasses[id] ? $dataClasses[id].name : id;
+      }).join("/"));
+      break;
+    case 'actor':
+      labels.push(condition.ids.map(function(id) {
+        return $dataActors[id] ? $dataActors[id].name : id;
+      }).join("/"));
+      break;
+    case 'switch':
+      labels.push($dataSystem.switches[condition.id] || key);
+      break;
+    case 'variable':
+      labels.push(($dataSystem.variables[condition.id] || key) + " " +
+        condition.operator + " " + condition.value);
+      break;
+    case 'param':
+      var index = Kaos.Augment.paramNames.indexOf(condition.id);
+      labels.push((index >= 0 ? TextManager.param(index) : condition.id) + " " +
+        condition.operator + " " + condition.value);
+      break;
+    }
+  });
+  return labels.length > 0 ? labels.join(", ") : key;
+};
+
+// Returns true if the condition is met for the item.  Level, class and actor
+// conditions fail when nobody has the item equipped.
+Kaos.Augment.checkCondition = function(condition, item) {
+  var actor;
+  switch (condition.type) {
+  case 'level':
+    actor = this.equippingActor(item);
+    return !!actor && actor.level >= condition.value;
+  case 'class':
+    actor = this.equippingActor(item);
+    return !!actor && condition.ids.contains(actor.currentClass().id);
+  case 'actor':
+    actor = this.equippingActor(item);
+    return !!actor && condition.ids.contains(actor.actorId());
+  case 'switch':
+    return $gameSwitches.value(condition.id);
+  case 'variable':
+    return this.compare($gameVariables.value(condition.id), condition.operator,
+      condition.value);
+  case 'param':
+    var index = this.paramNames.indexOf(condition.id);
+    var value = (item.params && index >= 0) ? item.params[index] : 0;
+    return this.compare(value, condition.operator, condition.value);
+  }
+  return true;
+};
+
+// SAVE DATA ------------------------------------------------------------------
+// Changes made to an augment with addReq, removeGrant, replaceReject and the
+// rest are stored in $gameSystem by augment key ("item 5", "weapon 2", ...).
+// On new game and on load every augment is reset to its notetags, then the
+// stored changes for that save are applied.
+
+Kaos.Augment.augmentKey = function(augment) {
+  if (DataManager.isWeapon(augment)) return "weapon " + augment.id;
+  if (DataManager.isArmor(augment)) return "armor " + augment.id;
+  return "item " + augment.id;
+};
+
+Kaos.Augment.augmentState = function(augment) {
+  return JsonEx.makeDeepCopy({
+    requirements: augment.augmentRequirements,
+    grants: augment.augmentGrantedTags,
+    rejection: augment.augmentRejectionString,
+    rejections: augment.augmentRejectionStrings
+  });
+};
+
+Kaos.Augment.setAugmentState = function(augment, state) {
+  state = JsonEx.makeDeepCopy(state);
+  augment.augmentRequirements = state.requirements;
+  augment.augmentGrantedTags = state.grants;
+  augment.augmentRejectionString = state.rejection;
+  augment.augmentRejectionStrings = state.rejections;
+};
+
+Kaos.Augment.recordOverride = function(augment) {
+  if (!$gameSystem) return;
+  $gameSystem.augmentOverrides()[this.augmentKey(augment)] = this.augmentState(augment);
+};
+
+Kaos.Augment.applyOverrides = function() {
+  var overrides = $gameSystem ? $gameSystem.augmentOverrides() : {};
+  [$dataItems, $dataWeapons, $dataArmors].forEach(function(data) {
+    if (!data) return;
+    for (var n = 1; n < data.length; n++) {
+      var obj = data[n];
+      if (!obj || !obj._augmentDefaults) continue;
+      var state = overrides[Kaos.Augment.augmentKey(obj)] || obj._augmentDefaults;
+      Kaos.Augment.setAugmentState(obj, state);
+    }
+  });
+};
+
+Kaos.Augment.Game_System_initialize = Game_System.prototype.initialize;
+Game_System.prototype.initialize = function() {
+  Kaos.Augment.Game_System_initialize.call(this);
+  this._augmentOverrides = {};
+  this._augmentLoadouts = {};
+};
+
+Game_System.prototype.augmentOverrides = function() {
+  if (!this._augmentOverrides) this._augmentOverrides = {};
+  return this._augmentOverrides;
+};
+
+Game_System.prototype.augmentLoadouts = function() {
+  if (!this._augmentLoadouts) this._augmentLoadouts = {};
+  return this._augmentLoadouts;
+};
+
+Kaos.Augment.DataManager_setupNewGame = DataManager.setupNewGame;
+DataManager.setupNewGame = function() {
+  Kaos.Augment.DataManager_setupNewGame.call(this);
+  Kaos.Augment.invalidatePartyIndex();
+  Kaos.Augment.applyOverrides();
+};
+
+Kaos.Augment.DataManager_extractSaveContents = DataManager.extractSaveContents;
+DataManager.extractSaveContents = function(contents) {
+  Kaos.Augment.DataManager_extractSaveContents.call(this, contents);
+  Kaos.Augment.invalidatePartyIndex();
+  Kaos.Augment.applyOverrides();
+  Kaos.Augment.reconcileAllGrantedTags();
+};
+
+// OVERRIDES ------------------------------------------------------------------
+
+Kaos.Augment.Scene_Boot_terminate = Scene_Boot.prototype.terminate;
+Scene_Boot.prototype.terminate = function() {
+  Kaos.Augment.Scene_Boot_terminate.call(this);
+  Kaos.Augment.init();
+  if (Kaos.Augment.Param.ValidateDatabase && Utils.isOptionValid('test')) {
+    Kaos.Augment.validateDatabase();
+  }
+};
+
+// OVERRIDE YEP_X_AttachAugments ==============================================
+// Learn how to use the above override method to make similar less intrusive
+// overrides.
+
+ItemManager.applyAugmentEffects = function(item, effectItem, slotId, gain, outcome) {
+  if (!item) return;
+  return Kaos.Augment.transaction(item, function() {
+    return this.commitAugmentEffects(item, effectItem, slotId, gain, outcome);
+  }.bind(this));
+};
+
+// If the install is rejected, outcome (if given) is set to its failed keys
+// and rejection text.
+ItemManager.commitAugmentEffects = function(item, effectItem, slotId, gain, outcome) {
+  Kaos.Augment.invalidatePartyIndex();
+
+  // Kaos pre-augment checks --------------------------------------------------
+  this.checkAugmentSlots(item);
+  var failed = effectItem ? Kaos.Augment.failedInstall(effectItem, item, slotId) : [];
+  var rejected = effectItem;
+  if (failed.length <= 0) {
+    var removal = Kaos.Augment.checkRemoval(item, slotId, effectItem);
+    if (removal.blocked) {
+      failed = ["DEPENDENTS"];
+      rejected = this.augmentInSlot(item, slotId);
+    }
+  }
+  var okToInstall = failed.length <= 0;
+  if (okToInstall && effectItem && !Kaos.Augment.allowInstall(item, effectItem, slotId)) {
+    failed = ["VETO"];
+    okToInstall = false;
+  }
+  if (okToInstall && effectItem && !Kaos.Augment.rollSuccess(effectItem, item)) {
+    failed = [Kaos.Augment.applyFailure(effectItem, item)];
+    okToInstall = false;
+  }
+  // --------------------------------------------------------------------------
+
+  if (okToInstall) {
     gain = gain || 0;
-    this.checkAugmentSlots(item);
     if (item.augmentSlotItems[slotId] !== 'none') {
       var augment = this.removeAugmentFromSlot(item, slotId);
       if (augment) $gameParty.gainItem(augment, gain);
     }
     this.installAugmentToSlot(item, effectItem, slotId);
+    if (effectItem) Kaos.Augment.addGrantedTags(item, effectItem, slotId);
+    if (effectItem) Kaos.Augment.startDuration(item, effectItem, slotId);
+    Kaos.Augment.updateSuspension(item);
     $gameParty.loseItem(effectItem, gain);
+    Kaos.Augment.ejectAugments(item, removal.ejected);
     this.augmentRefreshParty(item);
+    if (effectItem) Kaos.Augment.trigger('install', item, effectItem, slotId);
   }
 
   // Kaos post-augment rejection display --------------------------------------
-  if (!okToInstall) Kaos.Augment.showRejection(effectItem);
+  if (!okToInstall) {
+    if (outcome) {
+      outcome.failed = failed;
+      outcome.text = rejected ? Kaos.Augment.rejectionText(rejected, item, failed) : '';
+    }
+    Kaos.Augment.showRejection(rejected, item, failed);
+    Kaos.Augment.trigger('reject', item, rejected, slotId, { failed: failed });
+  }
   // --------------------------------------------------------------------------
+  return okToInstall;
 };
 
 ItemManager.removeAugmentFromSlot = function(item, slotId) {
 
   // Kaos pre-removal checks --------------------------------------------------
-  Kaos.Augment.removeGrantedTags(item, this.augmentInSlot(item, slotId));
+  Kaos.Augment.removeGrantedTags(item, slotId);
+  Kaos.Augment.clearDuration(item, slotId);
+  Kaos.Augment.invalidatePartyIndex();
+  var suspended = Kaos.Augment.isSuspended(item, slotId);
+  if (suspended) delete item.augmentSuspended[slotId];
   // --------------------------------------------------------------------------
 
   $gameTemp._augmentSetting = 'detach';
@@ -418,12 +1948,13 @@ ItemManager.removeAugmentFromSlot = function(item, slotId) {
     return augment;
   }
   var list = augment.augmentDataDetach[type];
-  if (list && list.length > 0)  {
+  if (list && list.length > 0 && !suspended)  {
     this.processAugmentList(item, augment, slotId, list);
   }
   var code = augment.augmentEvalDetach[type];
-  this.processAugmentEval(code, item, augment, slotId);
+  if (!suspended) this.processAugmentEval(code, item, augment, slotId);
   $gameTemp._augmentSetting = undefined;
+  Kaos.Augment.trigger('remove', item, augment, slotId);
   return augment;
 };
 
@@ -434,7 +1965,14 @@ Scene_Item.prototype.onActionAugment = function() {
     this._augmentListWindow.activate();
     var slotId = this._itemActionWindow.currentExt();
     this._augmentListWindow.setItem(this.item(), slotId);
-    SceneManager._scene._augmentRejectionWindow.hide();
+    if (this._augmentRejectionWindow) this._augmentRejectionWindow.hide();
+};
+
+Kaos.Augment.Scene_Item_createItemWindow = Scene_Item.prototype.createItemWindow;
+Scene_Item.prototype.createItemWindow = function() {
+    Kaos.Augment.Scene_Item_createItemWindow.call(this);
+    this._augmentRejectionWindow = new Window_AugmentRejection();
+    this.addWindow(this._augmentRejectionWindow);
 };
 
 
@@ -446,8 +1984,6 @@ Scene_EquipCustomize.prototype.createItemWindow = function() {
     this._itemWindow._data = [$gameTemp._customizeItem];
     this._itemWindow.select(1);
     this._itemWindow.hide();
-    this._augmentRejectionWindow = new Window_AugmentRejection(0,0);
-    this.addWindow(this._augmentRejectionWindow);
 };
 
 // REJECTION WINDOW -----------------------------------------------------------
@@ -459,13 +1995,63 @@ function Window_AugmentRejection() {
 Window_AugmentRejection.prototype = Object.create(Window_Base.prototype);
 Window_AugmentRejection.prototype.constructor = Window_AugmentRejection;
 
-Window_AugmentRejection.prototype.initialize = function(x, y) {
-  var width = Graphics.width;
-  var height = SceneManager._scene._helpWindow.height;
+// Position and size come from the Rejection Window parameters.
+Window_AugmentRejection.prototype.initialize = function() {
+  var param = Kaos.Augment.Param.RejectionWindow;
+  var helpWindow = SceneManager._scene._helpWindow ||
+    { x: 0, y: 0, width: Graphics.boxWidth, height: this.fittingHeight(2) };
+  var x = Number(eval(param.x));
+  var y = Number(eval(param.y));
+  var width = Number(eval(param.width));
+  var height = Number(eval(param.height));
+  this._hideCount = 0;
   Window_Base.prototype.initialize.call(this, x, y, width, height);
   this.hide();
 };
 
+Window_AugmentRejection.prototype.loadWindowskin = function() {
+  this.windowskin = ImageManager.loadSystem(Kaos.Augment.Param.RejectionWindow.skin);
+};
+
+Window_AugmentRejection.prototype.standardBackOpacity = function() {
+  return Kaos.Augment.Param.RejectionWindow.opacity;
+};
+
+Window_AugmentRejection.prototype.show = function() {
+  Window_Base.prototype.show.call(this);
+  this.opacity = 255;
+  this.contentsOpacity = 255;
+  this._hideCount = Kaos.Augment.Param.RejectionWindow.duration;
+  var helpWindow = SceneManager._scene._helpWindow;
+  if (Kaos.Augment.Param.RejectionWindow.replace && helpWindow) helpWindow.hide();
+};
+
+Window_AugmentRejection.prototype.hide = function() {
+  var wasVisible = this.visible;
+  Window_Base.prototype.hide.call(this);
+  this._hideCount = 0;
+  var helpWindow = SceneManager._scene._helpWindow;
+  if (wasVisible && Kaos.Augment.Param.RejectionWindow.replace && helpWindow) {
+    helpWindow.show();
+  }
+};
+
+Window_AugmentRejection.prototype.update = function() {
+  Window_Base.prototype.update.call(this);
+  this.updateAutoHide();
+};
+
+// Counts down while shown, then fades out over the Rejection Fade frames.
+Window_AugmentRejection.prototype.updateAutoHide = function() {
+  if (!this.visible || this._hideCount <= 0) return;
+  this._hideCount--;
+  var fade = Kaos.Augment.Param.RejectionWindow.fade;
+  if (this._hideCount >= fade) return;
+  this.opacity = 255 * this._hideCount / fade;
+  this.contentsOpacity = this.opacity;
+  if (this._hideCount <= 0) this.hide();
+};
+
 Window_AugmentRejection.prototype.refresh = function() {
     this.contents.clear();
     this.drawTextEx(this._text, this.textPadding(), 0);
@@ -474,7 +2060,6 @@ Window_AugmentRejection.prototype.refresh = function() {
 Window_AugmentRejection.prototype.open = function() {
   this.refresh();
   Window_Base.prototype.open.call(this);
-  this._text = "testing.";
 }
 
 Window_AugmentRejection.prototype.setText = function(text) {
@@ -488,156 +2073,2018 @@ Window_AugmentRejection.prototype.clear = function() {
     this.setText('');
 };
 
-Window_AugmentRejection.prototype.setItem = function(item) {
-    this.setText(item ? item.augmentRejectionString : '');
+Window_AugmentRejection.prototype.setItem = function(augment, item, failed) {
+    this._missingTags = (augment && item) ? Kaos.Augment.missingTags(augment, item) : [];
+    this._text = '';
+    if (augment) {
+      this._text = item ? Kaos.Augment.rejectionText(augment, item, failed) :
+        augment.augmentRejectionString;
+    }
+    this.refresh();
 };
 
-// UTILITIES ------------------------------------------------------------------
+// \MISSINGTAGS is replaced with the tags the target item lacks.
+Window_AugmentRejection.prototype.convertEscapeCharacters = function(text) {
+    var missing = (this._missingTags || []).join(", ");
+    text = text.replace(/\\MISSINGTAGS/gi, function() { return missing; });
+    return Window_Base.prototype.convertEscapeCharacters.call(this, text);
+};
 
-Kaos.Augment.hasTag = function(item, tag, returnIndex) {
-  returnIndex = returnIndex || false;
-  var index = 0;
-  var itemHasTag = false;
-  for (var t = 0; t < item.tags.length; t++) {
-		tag = tag.toUpperCase();
-		var regex = "^"+tag+"$";
-		if (tag.indexOf("*") >= 0) {
-			if (tag.charAt(0) == "*") {
-				regex = tag.replace("*","")+"$";
-			} else if (tag.charAt(tag.length-1) == "*") {
-				regex = "^"+tag.replace("*","");
-			} else {
-				regex = "^"+tag.replace("*","\\w*")+"$";
-			}
-		}
-		var currentTag = item.tags[t].toUpperCase();
-		var exp = new RegExp(regex, "i");
-		if (exp.exec(currentTag) !== null) {
-			itemHasTag = true;
-      index = t;
-    }
-	}
-  return (itemHasTag && returnIndex) ? index : itemHasTag;
-}
+// AUGMENT LIST WINDOW --------------------------------------------------------
 
-Kaos.Augment.hasGrant = function(item, grant, returnIndex) {
-  returnIndex = returnIndex || false;
-  var index = 0;
-  var itemHasGrant = false;
-  for (var g = 0; g < item.augmentGrantedTags.length; g++) {
-		grant = grant.toUpperCase();
-		var regex = "^"+grant+"$";
-		if (grant.indexOf("*") >= 0) {
-			if (grant.charAt(0) == "*") {
-				regex = grant.replace("*","")+"$";
-			} else if (grant.charAt(grant.length-1) == "*") {
-				regex = "^"+grant.replace("*","");
-			} else {
-				regex = "^"+grant.replace("*","\\w*")+"$";
-			}
-		}
-		var currentGrant = item.augmentGrantedTags[g].toUpperCase();
-		var exp = new RegExp(regex, "i");
-		if (exp.exec(currentGrant) !== null) {
-			itemHasGrant = true;
-      index = g;
-    }
-	}
-  return (itemHasGrant && returnIndex) ? index : itemHasGrant;
-}
+Kaos.Augment.Window_AugmentItemList_includes = Window_AugmentItemList.prototype.includes;
+Window_AugmentItemList.prototype.includes = function(item) {
+  if (!Kaos.Augment.Window_AugmentItemList_includes.call(this, item)) return false;
+  if (item && Kaos.Augment.Param.HideIncompatible) return this.isCompatible(item);
+  return true;
+};
 
-Kaos.Augment.addTag = function(item, tag) {
-  Kaos.Augment.removeTag(item, tag.toUpperCase());
-	item.tags.push(tag.toUpperCase());
-}
+Window_AugmentItemList.prototype.isCompatible = function(augment) {
+  if (!this._item || !augment.augmentRequirements) return true;
+  return Kaos.Augment.isCompatible(augment, this._item, this._slotId);
+};
 
-Kaos.Augment.addGrantedTags = function(item, augment) {
-  for (g = 0; g < augment.augmentGrantedTags.length; g++)
-    Kaos.Augment.addTag(item, "aug_" + augment.augmentGrantedTags[g]);
-}
+// Incompatible augments are drawn as if disabled, but can still be picked so
+// the rejection window explains why they will not attach.
+Kaos.Augment.Window_AugmentItemList_isEnabled =
+  Window_AugmentItemList.prototype.isEnabled;
+Window_AugmentItemList.prototype.isEnabled = function(item) {
+  if (this._drawingIncompatible) return false;
+  return Kaos.Augment.Window_AugmentItemList_isEnabled.call(this, item);
+};
 
-Kaos.Augment.removeTag = function(item, tag) {
-  var index = item.tags.indexOf(tag.toUpperCase());
-  if (index > -1) item.tags.splice(index, 1);
-}
-
-Kaos.Augment.removeGrantedTags = function(item, augment) {
-  var removeTag = true;
-  for (g = 0; g < augment.augmentGrantedTags.length; g++) {
-    grant = augment.augmentGrantedTags[g];
-    for (a = 0; a < item.augmentSlotItems.length; a++) {
-      var otherAugment = item.augmentSlotItems[a];
-      if (otherAugment != "none" && otherAugment.match(/\d+/) != augment.id) {
-        otherAugment = $dataItems[otherAugment.match(/\d+/)];
-        if (Kaos.Augment.hasGrant(otherAugment, grant)) removeTag = false;
+Kaos.Augment.Window_AugmentItemList_drawItem = Window_AugmentItemList.prototype.drawItem;
+Window_AugmentItemList.prototype.drawItem = function(index) {
+  var augment = this._data[index];
+  this._drawingIncompatible = !!augment && !this.isCompatible(augment);
+  Kaos.Augment.Window_AugmentItemList_drawItem.call(this, index);
+  if (this._drawingIncompatible) this.drawIncompatibleMarker(index);
+  this._drawingIncompatible = false;
+};
+
+Window_AugmentItemList.prototype.drawIncompatibleMarker = function(index) {
+  var rect = this.itemRect(index);
+  var width = rect.width - this.textPadding() - this.numberWidth();
+  this.changeTextColor(this.powerDownColor());
+  this.drawText(Kaos.Augment.Param.IncompatibleMarker, rect.x, rect.y, width, 'right');
+  this.resetTextColor();
+};
+
+Kaos.Augment.Window_AugmentItemList_updateHelp =
+  Window_AugmentItemList.prototype.updateHelp;
+Window_AugmentItemList.prototype.updateHelp = function() {
+  Kaos.Augment.Window_AugmentItemList_updateHelp.call(this);
+  var augment = this.item();
+  if (!augment || !augment.augmentRequirements) return;
+  if (!this._item || !this._helpWindow) return;
+  var text = Kaos.Augment.previewText(augment, this._item, this._slotId);
+  if (text) this._helpWindow.setText(text);
+};
+
+// DATABASE VALIDATION --------------------------------------------------------
+
+// Checks every item, weapon and armor for augment notetags that can never
+// work as intended, logs each problem to the console and returns the list.
+Kaos.Augment.validateDatabase = function() {
+  var objects = [];
+  [$dataItems, $dataWeapons, $dataArmors].forEach(function(data) {
+    if (!data) return;
+    for (var n = 1; n < data.length; n++) {
+      if (data[n] && data[n].augmentRequirements) objects.push(data[n]);
+    }
+  });
+  var tags = [];
+  var grants = [];
+  var checked = [];
+  objects.forEach(function(obj) {
+    Kaos.Augment.tags(obj).forEach(function(tag) { tags.push(tag.toUpperCase()); });
+    obj.augmentGrantedTags.forEach(function(grant) { grants.push("AUG_" + grant); });
+    obj.augmentRequirements.forEach(function(req) {
+      checked = checked.concat(Kaos.Augment.requirementTags(req));
+    });
+    checked = checked.concat(obj.augmentConflicts);
+  });
+  for (var name in Kaos.Augment.setBonuses) {
+    for (var count in Kaos.Augment.setBonuses[name]) {
+      Kaos.Augment.setBonuses[name][count].augmentGrantedTags.forEach(function(grant) {
+        grants.push("AUG_" + grant);
+      });
+    }
+  }
+  tags = tags.concat(grants);
+  var problems = [];
+  for (var type in Kaos.Augment.decorators) {
+    Kaos.Augment.decorators[type].forEach(function(decorator) {
+      checked.push(decorator.pattern);
+      if (!Kaos.Augment.baseHasGrants(decorator.pattern, grants)) {
+        problems.push("Granted Tag " + type.toLowerCase() + " for " + decorator.pattern +
+          " matches no tag any augment grants.");
+      }
+    });
+  }
+  objects.forEach(function(obj) {
+    var name = Kaos.Augment.augmentKey(obj) + " (" + obj.name + ")";
+    obj.augmentRequirements.forEach(function(req) {
+      Kaos.Augment.requirementTags(req).forEach(function(tag) {
+        if (!Kaos.Augment.baseHasGrants(tag, tags)) {
+          problems.push(name + " requires tag " + tag + ", which nothing in " +
+            "the database has.");
+        }
+      });
+    });
+    if (obj.augmentRejectionString && obj.augmentRequirements.length <= 0 &&
+      obj.augmentConditions.length <= 0) {
+      problems.push(name + " has a rejection string but no requirements.");
+    }
+    obj.augmentGrantedTags.forEach(function(grant) {
+      var tag = "AUG_" + grant;
+      var used = checked.some(function(pattern) {
+        return Kaos.Augment.baseHasGrants(pattern, [tag]);
+      });
+      if (!used) {
+        problems.push(name + " grants tag " + tag + ", which no augment " +
+          "requires or conflicts with.");
+      }
+    });
+  });
+  problems.forEach(function(problem) {
+    console.warn("Kaos_AugmentRequirements: " + problem);
+  });
+  return problems;
+};
+
+// PLUGIN COMMANDS ------------------------------------------------------------
+
+Kaos.Augment.Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+Game_Interpreter.prototype.pluginCommand = function(command, args) {
+  Kaos.Augment.Game_Interpreter_pluginCommand.call(this, command, args);
+  switch (command.toUpperCase()) {
+  case 'AUGMENTINSTALL':
+  case 'AUGMENTREMOVE':
+  case 'AUGMENTCHECK':
+  case 'AUGMENTHASGRANT':
+    Kaos.Augment.runCommand(command.toUpperCase(), Kaos.Augment.parseCommandArgs(args));
+    break;
+  }
+};
+
+// Reads "actor 1 equip 0", "party weapon 3", "slot 0", "augment item 12",
+// "tag hacked", "switch 5" and "variable 8" out of the plugin command args.
+Kaos.Augment.parseCommandArgs = function(args) {
+  var data = { item: null, slotId: -1, augment: null, tag: '', result: null };
+  for (var i = 0; i < args.length; i++) {
+    switch (args[i].toUpperCase()) {
+    case 'ACTOR':
+      var actor = $gameActors.actor(Number(args[i + 1]));
+      if (actor && String(args[i + 2]).toUpperCase() === 'EQUIP') {
+        data.item = actor.equips()[Number(args[i + 3])] || null;
+      }
+      i += 3;
+      break;
+    case 'PARTY':
+      data.item = this.partyItemAt(args[i + 1], Number(args[i + 2]));
+      i += 2;
+      break;
+    case 'SLOT':
+      data.slotId = Number(args[++i]);
+      break;
+    case 'AUGMENT':
+      data.augment = this.databaseItem(args[i + 1], Number(args[i + 2]));
+      i += 2;
+      break;
+    case 'TAG':
+      data.tag = String(args[++i]);
+      break;
+    case 'SWITCH':
+    case 'VARIABLE':
+      data.result = { type: args[i].toUpperCase(), id: Number(args[i + 1]) };
+      i += 1;
+      break;
+    }
+  }
+  return data;
+};
+
+Kaos.Augment.partyItemAt = function(type, index) {
+  switch (String(type).toUpperCase()) {
+  case 'ITEM':   return $gameParty.items()[index] || null;
+  case 'WEAPON': return $gameParty.weapons()[index] || null;
+  case 'ARMOR':  return $gameParty.armors()[index] || null;
+  }
+  return null;
+};
+
+Kaos.Augment.databaseItem = function(type, id) {
+  switch (String(type).toUpperCase()) {
+  case 'ITEM':   return $dataItems[id] || null;
+  case 'WEAPON': return $dataWeapons[id] || null;
+  case 'ARMOR':  return $dataArmors[id] || null;
+  }
+  return null;
+};
+
+Kaos.Augment.runCommand = function(command, data) {
+  var item = data.item;
+  var value = 0;
+  if (item) ItemManager.checkAugmentSlots(item);
+  switch (command) {
+  case 'AUGMENTINSTALL':
+    value = !!data.augment && this.fitsSlot(data.augment, item, data.slotId) &&
+      $gameParty.hasItem(data.augment) &&
+      this.installAugmentToSlot(item, data.augment, data.slotId);
+    break;
+  case 'AUGMENTREMOVE':
+    value = !!item && !!ItemManager.augmentInSlot(item, data.slotId) &&
+      !!this.removeAugmentFromSlot(item, data.slotId);
+    break;
+  case 'AUGMENTCHECK':
+    value = !!data.augment && this.fitsSlot(data.augment, item, data.slotId) &&
+      this.isCompatible(data.augment, item, data.slotId);
+    break;
+  case 'AUGMENTHASGRANT':
+    value = (item && data.tag) ? this.grantCount(item, data.tag) : 0;
+    break;
+  }
+  this.storeCommandResult(data.result, value);
+};
+
+Kaos.Augment.storeCommandResult = function(result, value) {
+  if (!result) return;
+  if (result.type === 'SWITCH') {
+    $gameSwitches.setValue(result.id, !!value);
+  } else {
+    $gameVariables.setValue(result.id, Number(value));
+  }
+};
+
+// DURATIONS ------------------------------------------------------------------
+// item.augmentDurations holds each timed slot's type and count, e.g.
+// { 2: { type: 'battles', remaining: 5 } }.  Battle and step durations count
+// down as they happen.  Time durations store the playtime they expire at.
+// Expired augments are removed on the map, once no message is showing.
+
+Kaos.Augment.durations = function(item) {
+  if (!item.augmentDurations) item.augmentDurations = {};
+  return item.augmentDurations;
+};
+
+Kaos.Augment.startDuration = function(item, augment, slotId) {
+  var duration = augment.augmentDuration;
+  if (!duration) return;
+  var data = { type: duration.type, remaining: duration.value };
+  if (duration.type === 'seconds') data.expires = $gameSystem.playtime() + duration.value;
+  this.durations(item)[slotId] = data;
+};
+
+Kaos.Augment.clearDuration = function(item, slotId) {
+  delete this.durations(item)[slotId];
+};
+
+// Returns the seconds, steps or battles left for the augment in the slot, or
+// null if it does not expire.
+Kaos.Augment.remainingDuration = function(item, slotId) {
+  var data = this.durations(item)[slotId];
+  if (!data) return null;
+  if (data.type === 'seconds') return Math.max(data.expires - $gameSystem.playtime(), 0);
+  return Math.max(data.remaining, 0);
+};
+
+Kaos.Augment.durationText = function(item, slotId) {
+  var remaining = this.remainingDuration(item, slotId);
+  if (remaining === null) return '';
+  var type = this.durations(item)[slotId].type;
+  if (type === 'seconds') {
+    remaining = Math.floor(remaining / 60) + ":" + (remaining % 60).padZero(2);
+  }
+  return this.Param.DurationText[type].format(remaining);
+};
+
+// Counts down the battle or step durations of every item a party member has
+// equipped.
+Kaos.Augment.tickDurations = function(type) {
+  this.partyIndex().equipped.forEach(function(entry) {
+    var durations = entry.item.augmentDurations;
+    if (!durations) return;
+    for (var slotId in durations) {
+      if (durations[slotId].type === type) durations[slotId].remaining--;
+    }
+  });
+};
+
+Kaos.Augment.updateExpirations = function() {
+  var expired = [];
+  this.partyIndex().entries.forEach(function(entry) {
+    var durations = entry.item.augmentDurations;
+    if (!durations) return;
+    for (var slotId in durations) {
+      if (Kaos.Augment.remainingDuration(entry.item, slotId) <= 0) {
+        expired.push({ item: entry.item, slotId: Number(slotId) });
+      }
+    }
+  });
+  expired.forEach(function(data) {
+    Kaos.Augment.expireAugment(data.item, data.slotId);
+  });
+};
+
+// Removes the augment through the normal removal path without returning it
+// to the party.  Augments depending on it are ejected unless Dependent
+// Removal is allow.
+Kaos.Augment.expireAugment = function(item, slotId) {
+  var augment = ItemManager.augmentInSlot(item, slotId);
+  if (!augment) {
+    this.clearDuration(item, slotId);
+    return;
+  }
+  var ejected = [];
+  if (this.removalMode(augment) !== 'allow') {
+    ejected = this.dependentSlots(item, slotId, null);
+  }
+  var expired = this.transaction(item, function() {
+    ItemManager.removeAugmentFromSlot(item, slotId);
+    ItemManager.installAugmentToSlot(item, null, slotId);
+    Kaos.Augment.ejectAugments(item, ejected);
+    ItemManager.augmentRefreshParty(item);
+    return true;
+  });
+  if (!expired) {
+    // Kept without its duration, so the failed removal is not retried.
+    this.clearDuration(item, slotId);
+    return;
+  }
+  if (this.Param.ExpireMessage) {
+    $gameMessage.add(this.Param.ExpireMessage.format(item.name, augment.name));
+  }
+};
+
+Kaos.Augment.BattleManager_endBattle = BattleManager.endBattle;
+BattleManager.endBattle = function(result) {
+  Kaos.Augment.BattleManager_endBattle.call(this, result);
+  Kaos.Augment.tickDurations('battles');
+};
+
+Kaos.Augment.Game_Party_increaseSteps = Game_Party.prototype.increaseSteps;
+Game_Party.prototype.increaseSteps = function() {
+  Kaos.Augment.Game_Party_increaseSteps.call(this);
+  Kaos.Augment.tickDurations('steps');
+};
+
+Kaos.Augment.Scene_Map_update = Scene_Map.prototype.update;
+Scene_Map.prototype.update = function() {
+  Kaos.Augment.Scene_Map_update.call(this);
+  if (Graphics.frameCount % 30 === 0 && !$gameMessage.isBusy()) {
+    Kaos.Augment.updateExpirations();
+  }
+};
+
+// Shows the time left beside augment slots that expire.  Suspended augments
+// are drawn as if disabled, but can still be picked to remove them.
+Kaos.Augment.Window_ItemActionCommand_isCommandEnabled =
+  Window_ItemActionCommand.prototype.isCommandEnabled;
+Window_ItemActionCommand.prototype.isCommandEnabled = function(index) {
+  if (this._drawingSuspended) return false;
+  return Kaos.Augment.Window_ItemActionCommand_isCommandEnabled.call(this, index);
+};
+
+Kaos.Augment.Window_ItemActionCommand_drawItem =
+  Window_ItemActionCommand.prototype.drawItem;
+Window_ItemActionCommand.prototype.drawItem = function(index) {
+  var isAugment = !!this._item && this.commandSymbol(index) === 'augment';
+  this._drawingSuspended = isAugment &&
+    Kaos.Augment.isSuspended(this._item, this._list[index].ext);
+  Kaos.Augment.Window_ItemActionCommand_drawItem.call(this, index);
+  this._drawingSuspended = false;
+  if (!isAugment) return;
+  var text = Kaos.Augment.durationText(this._item, this._list[index].ext);
+  if (!text) return;
+  var rect = this.itemRectForText(index);
+  var width = this.textWidth(text.replace(/\\C\[\d+\]/gi, ''));
+  this.drawTextEx(text, rect.x + rect.width - width, rect.y);
+  this.resetTextColor();
+};
+
+// SUSPENSION -----------------------------------------------------------------
+// Augments with actor tag requirements are suspended while the item is
+// equipped by an actor who does not meet them, and listed in
+// item.augmentSuspended, e.g. { 1: true }.  They are checked again whenever
+// an actor's equipment, class or party membership changes.
+
+Kaos.Augment.suspensions = function(item) {
+  if (!item.augmentSuspended) item.augmentSuspended = {};
+  return item.augmentSuspended;
+};
+
+Kaos.Augment.isSuspended = function(item, slotId) {
+  return !!item.augmentSuspended && !!item.augmentSuspended[slotId];
+};
+
+// The actor's tags, from their actor and class.
+Kaos.Augment.actorTags = function(actor) {
+  var tags = this.tags($dataActors[actor.actorId()]);
+  return actor.currentClass() ? tags.concat(this.tags(actor.currentClass())) : tags;
+};
+
+// Returns true if the augment works for the actor.  Every augment works when
+// nobody has the item equipped.
+Kaos.Augment.meetsActorRequirements = function(augment, actor) {
+  var reqs = augment.augmentActorRequirements || [];
+  if (!actor || reqs.length <= 0) return true;
+  var probe = { tags: this.actorTags(actor) };
+  return reqs.every(function(req) {
+    return Kaos.Augment.evaluateRequirement(req, probe);
+  });
+};
+
+// Suspends or resumes each of the item's augments for whoever has it equipped.
+Kaos.Augment.updateSuspension = function(item) {
+  if (!item || !item.augmentSlotItems) return;
+  var actor = this.equippingActor(item);
+  var changed = false;
+  for (var a = 0; a < item.augmentSlotItems.length; a++) {
+    var augment = ItemManager.augmentInSlot(item, a);
+    var suspend = !!augment && !this.meetsActorRequirements(augment, actor);
+    if (suspend === this.isSuspended(item, a)) continue;
+    if (suspend) {
+      this.suspendAugment(item, augment, a);
+    } else {
+      this.resumeAugment(item, augment, a);
+    }
+    changed = true;
+  }
+  if (!changed) return;
+  this.updateSetBonuses(item);
+  ItemManager.augmentRefreshParty(item);
+};
+
+Kaos.Augment.suspendAugment = function(item, augment, slotId) {
+  this.suspensions(item)[slotId] = true;
+  this.removeGrantedTags(item, slotId);
+  this.processAugmentEffects(item, augment, slotId, 'detach');
+};
+
+Kaos.Augment.resumeAugment = function(item, augment, slotId) {
+  delete this.suspensions(item)[slotId];
+  if (!augment) return;
+  this.processAugmentEffects(item, augment, slotId, 'attach');
+  this.addGrantedTags(item, augment, slotId);
+};
+
+// Runs the augment's attach or detach effects for the slot, the same way
+// YEP_X_AttachAugments does when it is installed or removed.
+Kaos.Augment.processAugmentEffects = function(item, augment, slotId, setting) {
+  var type = item.augmentSlots[slotId].toUpperCase().trim();
+  var attach = (setting === 'attach');
+  var data = attach ? augment.augmentDataAttach : augment.augmentDataDetach;
+  var evals = attach ? augment.augmentEvalAttach : augment.augmentEvalDetach;
+  $gameTemp._augmentSetting = setting;
+  var list = data && data[type];
+  if (list && list.length > 0) {
+    ItemManager.processAugmentList(item, augment, slotId, list);
+  }
+  if (evals && evals[type]) {
+    ItemManager.processAugmentEval(evals[type], item, augment, slotId);
+  }
+  $gameTemp._augmentSetting = undefined;
+};
+
+// Checks the equipment the actor has now, and what they had at the last
+// check, kept by key since items cannot be saved in the actor.
+Kaos.Augment.updateActorSuspensions = function(actor) {
+  var keys = actor.equips().filter(function(item) {
+    return !!item && !!item.augmentSlotItems;
+  }).map(function(item) {
+    return Kaos.Augment.augmentKey(item);
+  });
+  var checked = keys.concat((actor._augmentEquipKeys || []).filter(function(key) {
+    return !keys.contains(key);
+  }));
+  actor._augmentEquipKeys = keys;
+  checked.forEach(function(key) {
+    var item = this.augmentFromKey(key);
+    if (!item) return;
+    this.transaction(item, function() {
+      Kaos.Augment.updateSuspension(item);
+    });
+  }, this);
+};
+
+// SETS -----------------------------------------------------------------------
+// Set bonuses are defined by name and member count in Kaos.Augment.setBonuses.
+// Active bonuses are listed by set in item.augmentSetBonuses, e.g.
+// { "GHOST PROTOCOL": [2, 3] }.  Tags granted by a bonus are kept in the
+// granted tag ledger under "set GHOST PROTOCOL 2".
+
+Kaos.Augment.setBonuses = {};
+
+// Starts a new, empty bonus for the set and count, replacing any before it.
+Kaos.Augment.setBonus = function(name, count) {
+  name = name.trim().toUpperCase();
+  this.setBonuses[name] = this.setBonuses[name] || {};
+  this.setBonuses[name][count] =
+    { augmentGrantedTags: [], attachEval: '', detachEval: '' };
+  return this.setBonuses[name][count];
+};
+
+Kaos.Augment.setSource = function(name, count) {
+  return "set " + name + " " + count;
+};
+
+// Returns how many of the item's slots, other than the ones in skipped, hold
+// a member of the set that is not suspended.
+Kaos.Augment.setCount = function(item, name, skipped) {
+  skipped = skipped || [];
+  var count = 0;
+  for (var a = 0; a < item.augmentSlotItems.length; a++) {
+    if (skipped.contains(a) || this.isSuspended(item, a)) continue;
+    var augment = ItemManager.augmentInSlot(item, a);
+    if (augment && augment.augmentSet === name) count++;
+  }
+  return count;
+};
+
+// Turns the item's set bonuses on or off to match the augments installed.
+Kaos.Augment.updateSetBonuses = function(item) {
+  if (!item || !item.augmentSlotItems) return;
+  var active = item.augmentSetBonuses = item.augmentSetBonuses || {};
+  var names = Object.keys(this.setBonuses).concat(Object.keys(active));
+  names.filter(function(name, index) {
+    return names.indexOf(name) === index;
+  }).forEach(function(name) {
+    var members = this.setCount(item, name);
+    var bonuses = this.setBonuses[name] || {};
+    (active[name] || []).slice().sort(function(a, b) {
+      return b - a;
+    }).forEach(function(count) {
+      if (count > members || !bonuses[count]) this.endSetBonus(item, name, count);
+    }, this);
+    Object.keys(bonuses).map(Number).sort(function(a, b) {
+      return a - b;
+    }).forEach(function(count) {
+      if (count <= members && !(active[name] || []).contains(count)) {
+        this.startSetBonus(item, name, count);
+      }
+    }, this);
+  }, this);
+};
+
+Kaos.Augment.startSetBonus = function(item, name, count) {
+  var bonus = this.setBonuses[name][count];
+  var active = item.augmentSetBonuses;
+  active[name] = active[name] || [];
+  active[name].push(count);
+  this.addGrantedTags(item, bonus, this.setSource(name, count));
+  this.runSetEval(bonus.attachEval, item, name, count);
+};
+
+Kaos.Augment.endSetBonus = function(item, name, count) {
+  var active = item.augmentSetBonuses;
+  active[name].splice(active[name].indexOf(count), 1);
+  if (active[name].length <= 0) delete active[name];
+  this.removeGrantedTags(item, this.setSource(name, count));
+  var bonus = (this.setBonuses[name] || {})[count];
+  if (bonus) this.runSetEval(bonus.detachEval, item, name, count);
+};
+
+// Errors are not caught, so the transaction the bonus changed in is undone.
+Kaos.Augment.runSetEval = function(code, item, set, count) {
+  if (!code) return;
+  var actor = this.equippingActor(item);
+  var v = $gameVariables._data;
+  var s = $gameSwitches._data;
+  eval(code);
+};
+
+// Every install and removal ends with the slot being set, so set bonuses are
+// updated here.
+Kaos.Augment.ItemManager_installAugmentToSlot = ItemManager.installAugmentToSlot;
+ItemManager.installAugmentToSlot = function(item, effectItem, slotId) {
+  Kaos.Augment.ItemManager_installAugmentToSlot.call(this, item, effectItem, slotId);
+  Kaos.Augment.updateSetBonuses(item);
+};
+
+// DECORATORS -----------------------------------------------------------------
+// Granted tag decorators are kept by type in Kaos.Augment.decorators, each with
+// the "AUG_" pattern it matches.  They are applied when the item is drawn or
+// sold, so nothing about them is stored on the item.
+
+Kaos.Augment.decorators = { 'NAME PREFIX': [], 'NAME SUFFIX': [], DESCRIPTION: [],
+  'PRICE RATE': [] };
+
+Kaos.Augment.addDecorator = function(type, tag, text) {
+  var pattern = tag.trim().toUpperCase();
+  if (pattern.indexOf("AUG_") !== 0) pattern = "AUG_" + pattern;
+  var value = text.trim();
+  if (type === 'PRICE RATE') value = Number(value.replace('%', '')) / 100;
+  this.decorators[type].push({ pattern: pattern, value: value });
+};
+
+// Returns the values of the decorators of that type matching the item's
+// granted tags.
+Kaos.Augment.itemDecorators = function(item, type) {
+  var granted = Object.keys((item && item.augmentGrantLedger) || {});
+  if (granted.length <= 0) return [];
+  return this.decorators[type].filter(function(decorator) {
+    return Kaos.Augment.lastMatchIndex(decorator.pattern, granted) >= 0;
+  }).map(function(decorator) {
+    return decorator.value;
+  });
+};
+
+Kaos.Augment.decoratedName = function(item) {
+  var prefixes = this.itemDecorators(item, 'NAME PREFIX');
+  var suffixes = this.itemDecorators(item, 'NAME SUFFIX');
+  return prefixes.concat([item.name], suffixes).join(" ");
+};
+
+// Decorates text, or the item's description if no text is given.
+Kaos.Augment.decoratedDescription = function(item, text) {
+  return this.itemDecorators(item, 'DESCRIPTION').reduce(function(text, line) {
+    return line.indexOf("%1") >= 0 ? line.format(text) : text + "\n" + line;
+  }, text !== undefined ? text : item.description);
+};
+
+Kaos.Augment.priceRate = function(item) {
+  return this.itemDecorators(item, 'PRICE RATE').reduce(function(rate, value) {
+    return rate * value;
+  }, 1);
+};
+
+Kaos.Augment.Window_Base_drawItemName = Window_Base.prototype.drawItemName;
+Window_Base.prototype.drawItemName = function(item, x, y, width) {
+  var name = item ? item.name : '';
+  if (item) item.name = Kaos.Augment.decoratedName(item);
+  Kaos.Augment.Window_Base_drawItemName.call(this, item, x, y, width);
+  if (item) item.name = name;
+};
+
+Kaos.Augment.Window_Help_setItem = Window_Help.prototype.setItem;
+Window_Help.prototype.setItem = function(item) {
+  Kaos.Augment.Window_Help_setItem.call(this, item);
+  if (item && item.augmentGrantLedger) {
+    this.setText(Kaos.Augment.decoratedDescription(item, this._text));
+  }
+};
+
+Kaos.Augment.Scene_Shop_sellingPrice = Scene_Shop.prototype.sellingPrice;
+Scene_Shop.prototype.sellingPrice = function() {
+  var price = Kaos.Augment.Scene_Shop_sellingPrice.call(this);
+  return Math.floor(price * Kaos.Augment.priceRate(this._item));
+};
+
+// TRANSACTIONS ---------------------------------------------------------------
+// Each install and removal copies the item and the party's inventory first,
+// and puts both back if any step throws.  While the Equip Customize scene is
+// open, the copies are kept in $gameTemp._augmentHistory so changes made
+// there can be undone.  Outside of it the history is null.
+
+Kaos.Augment.snapshot = function(item) {
+  return {
+    item: item,
+    data: JsonEx.makeDeepCopy(item),
+    items: JsonEx.makeDeepCopy($gameParty._items),
+    weapons: JsonEx.makeDeepCopy($gameParty._weapons),
+    armors: JsonEx.makeDeepCopy($gameParty._armors)
+  };
+};
+
+// Puts the item back as it was in the snapshot.  The item object itself is
+// kept, so the party and database still point to it.
+Kaos.Augment.restoreSnapshot = function(snapshot) {
+  var item = snapshot.item;
+  var data = JsonEx.makeDeepCopy(snapshot.data);
+  Object.keys(item).forEach(function(key) {
+    if (!data.hasOwnProperty(key)) delete item[key];
+  });
+  Object.keys(data).forEach(function(key) {
+    item[key] = data[key];
+  });
+  $gameParty._items = JsonEx.makeDeepCopy(snapshot.items);
+  $gameParty._weapons = JsonEx.makeDeepCopy(snapshot.weapons);
+  $gameParty._armors = JsonEx.makeDeepCopy(snapshot.armors);
+  this.invalidatePartyIndex();
+  ItemManager.augmentRefreshParty(item);
+};
+
+// Runs change, which returns something truthy if it changed the item.  If it
+// throws, everything is restored and false is returned.
+// Events sent during the change are held until it has gone through, and
+// dropped if it is restored.  Only the outermost of nested transactions is
+// added to the history, and not if the history was cleared during it.
+Kaos.Augment.transaction = function(item, change) {
+  var snapshot = this.snapshot(item);
+  var history = $gameTemp._augmentHistory;
+  var outer = !this._pendingEvents;
+  if (outer) this._pendingEvents = [];
+  var queued = this._pendingEvents.length;
+  var result;
+  try {
+    result = change();
+  } catch (e) {
+    if (outer) this._pendingEvents = null;
+    else this._pendingEvents.splice(queued);
+    this.restoreSnapshot(snapshot);
+    console.error(e);
+    return false;
+  }
+  if (result && outer && $gameTemp._augmentHistory === history) {
+    this.recordHistory(snapshot);
+  }
+  if (outer) {
+    var reserved = ($gameTemp._augmentCommonEvents || []).length;
+    this.flushEvents();
+    snapshot.commonEvents = ($gameTemp._augmentCommonEvents || []).slice(reserved);
+  }
+  return result;
+};
+
+Kaos.Augment.startHistory = function() {
+  $gameTemp._augmentHistory = [];
+};
+
+Kaos.Augment.endHistory = function() {
+  $gameTemp._augmentHistory = null;
+};
+
+// Forgets every change so far, without undoing them.
+Kaos.Augment.clearHistory = function() {
+  if ($gameTemp._augmentHistory) $gameTemp._augmentHistory = [];
+};
+
+Kaos.Augment.recordHistory = function(snapshot) {
+  if ($gameTemp._augmentHistory) $gameTemp._augmentHistory.push(snapshot);
+};
+
+Kaos.Augment.canUndo = function() {
+  return !!$gameTemp._augmentHistory && $gameTemp._augmentHistory.length > 0;
+};
+
+// Takes back the last change.  Returns true if there was one.  The common
+// events it queued are dropped, and remove and install are sent, with undo
+// set, for each slot it changed.
+Kaos.Augment.undo = function() {
+  if (!this.canUndo()) return false;
+  var snapshot = $gameTemp._augmentHistory.pop();
+  var item = snapshot.item;
+  var before = (item.augmentSlotItems || []).map(function(key, slotId) {
+    return ItemManager.augmentInSlot(item, slotId);
+  });
+  this.restoreSnapshot(snapshot);
+  this.dropCommonEvents(snapshot.commonEvents);
+  var count = Math.max(before.length, (item.augmentSlotItems || []).length);
+  for (var a = 0; a < count; a++) {
+    var augment = ItemManager.augmentInSlot(item, a);
+    if (augment === before[a]) continue;
+    if (before[a]) this.trigger('remove', item, before[a], a, { undo: true });
+    if (augment) this.trigger('install', item, augment, a, { undo: true });
+  }
+  return true;
+};
+
+// Takes back every change in the history, latest first.
+Kaos.Augment.revertAll = function() {
+  if (!this.canUndo()) return false;
+  while (this.undo());
+  return true;
+};
+
+Kaos.Augment.Scene_EquipCustomize_start = Scene_EquipCustomize.prototype.start;
+Scene_EquipCustomize.prototype.start = function() {
+  Kaos.Augment.Scene_EquipCustomize_start.call(this);
+  Kaos.Augment.startHistory();
+  this._itemActionWindow.setHandler('augmentUndo', this.onActionAugmentUndo.bind(this));
+  this._itemActionWindow.setHandler('augmentRevert',
+    this.onActionAugmentRevert.bind(this));
+  this._itemActionWindow.setHandler('augmentSaveLoadout',
+    this.onActionSaveLoadout.bind(this));
+  this._itemActionWindow.setHandler('augmentApplyLoadout',
+    this.onActionApplyLoadout.bind(this));
+};
+
+Kaos.Augment.Scene_EquipCustomize_terminate = Scene_EquipCustomize.prototype.terminate;
+Scene_EquipCustomize.prototype.terminate = function() {
+  Kaos.Augment.Scene_EquipCustomize_terminate.call(this);
+  Kaos.Augment.endHistory();
+};
+
+Scene_EquipCustomize.prototype.onActionAugmentUndo = function() {
+  Kaos.Augment.undo();
+  this.refreshAugmentWindows();
+};
+
+Scene_EquipCustomize.prototype.onActionAugmentRevert = function() {
+  Kaos.Augment.revertAll();
+  this.refreshAugmentWindows();
+};
+
+Scene_EquipCustomize.prototype.refreshAugmentWindows = function() {
+  this._augmentRejectionWindow.hide();
+  if (this._statusWindow) this._statusWindow.refresh();
+  if (this._infoWindow) this._infoWindow.refresh();
+  this._itemActionWindow.refresh();
+  this._itemActionWindow.activate();
+};
+
+// Loadout and undo commands go last, just above cancel.  So does the
+// compatibility command for augments in the item menu.
+Kaos.Augment.Window_ItemActionCommand_makeCommandList =
+  Window_ItemActionCommand.prototype.makeCommandList;
+Window_ItemActionCommand.prototype.makeCommandList = function() {
+  Kaos.Augment.Window_ItemActionCommand_makeCommandList.call(this);
+  var customize = SceneManager._scene instanceof Scene_EquipCustomize;
+  if (!customize && !Kaos.Augment.isAugment(this._item)) return;
+  var index = this.findSymbol('cancel');
+  var cancel = index >= 0 ? this._list.splice(index, 1) : [];
+  if (!customize) {
+    this.addCommand(Kaos.Augment.Param.BrowseCommand, 'augmentBrowse', true);
+    this._list = this._list.concat(cancel);
+    return;
+  }
+  if (this._item) {
+    var name = Kaos.Augment.itemLoadoutName(this._item);
+    this.addCommand(Kaos.Augment.Param.SaveLoadoutCommand, 'augmentSaveLoadout', true);
+    this.addCommand(Kaos.Augment.Param.ApplyLoadoutCommand, 'augmentApplyLoadout',
+      Kaos.Augment.hasLoadout(name));
+  }
+  var enabled = Kaos.Augment.canUndo();
+  this.addCommand(Kaos.Augment.Param.UndoCommand, 'augmentUndo', enabled);
+  this.addCommand(Kaos.Augment.Param.RevertCommand, 'augmentRevert', enabled);
+  this._list = this._list.concat(cancel);
+};
+
+// EVENTS ---------------------------------------------------------------------
+// Callbacks added with Kaos.Augment.on are kept in Kaos.Augment.listeners by
+// event name.  beforeInstall is sent straight away so it can stop the install.
+// The others wait for the transaction they happen in to go through.
+
+Kaos.Augment.listeners = {};
+Kaos.Augment._pendingEvents = null;
+
+Kaos.Augment.on = function(event, callback) {
+  this.listeners[event] = this.listeners[event] || [];
+  this.listeners[event].push(callback);
+};
+
+Kaos.Augment.off = function(event, callback) {
+  var list = this.listeners[event] || [];
+  var index = list.indexOf(callback);
+  if (index > -1) list.splice(index, 1);
+};
+
+Kaos.Augment.eventData = function(item, augment, slotId, extra) {
+  var data = { item: item, augment: augment, slotId: slotId,
+    actor: this.equippingActor(item) };
+  for (var key in extra) data[key] = extra[key];
+  return data;
+};
+
+// Returns the value each callback for the event returned.
+Kaos.Augment.emit = function(event, data) {
+  return (this.listeners[event] || []).slice().map(function(callback) {
+    return callback(data);
+  });
+};
+
+Kaos.Augment.trigger = function(event, item, augment, slotId, extra) {
+  var data = this.eventData(item, augment, slotId, extra);
+  if (this._pendingEvents) {
+    this._pendingEvents.push({ event: event, data: data });
+  } else {
+    this.emit(event, data);
+  }
+};
+
+Kaos.Augment.flushEvents = function() {
+  var pending = this._pendingEvents || [];
+  this._pendingEvents = null;
+  pending.forEach(function(entry) {
+    this.emit(entry.event, entry.data);
+  }, this);
+};
+
+// Returns false if a beforeInstall callback stops the install.  The reason it
+// gave, if any, is kept in $gameTemp._augmentVetoReason for the rejection text.
+Kaos.Augment.allowInstall = function(item, augment, slotId) {
+  $gameTemp._augmentVetoReason = '';
+  var results = this.emit('beforeInstall', this.eventData(item, augment, slotId));
+  for (var r = 0; r < results.length; r++) {
+    if (results[r] === false) return false;
+    if (typeof results[r] === 'string') {
+      $gameTemp._augmentVetoReason = results[r];
+      return false;
+    }
+  }
+  return true;
+};
+
+// Common events are queued with their event data in $gameTemp, since MV only
+// keeps one reserved common event at a time.
+Kaos.Augment.reserveCommonEvent = function(type, data) {
+  var id = data.augment && (data.augment.augmentCommonEvents || {})[type];
+  if (!id) return;
+  $gameTemp._augmentCommonEvents = $gameTemp._augmentCommonEvents || [];
+  $gameTemp._augmentCommonEvents.push({ id: id, data: data });
+};
+
+// Takes the entries out of the common event queue, if they have not run yet.
+Kaos.Augment.dropCommonEvents = function(entries) {
+  var queue = $gameTemp._augmentCommonEvents;
+  if (!queue || !entries) return;
+  entries.forEach(function(entry) {
+    var index = queue.indexOf(entry);
+    if (index > -1) queue.splice(index, 1);
+  });
+};
+
+// Starts the next queued common event once no other is reserved.
+Kaos.Augment.Game_Interpreter_setupReservedCommonEvent =
+  Game_Interpreter.prototype.setupReservedCommonEvent;
+Game_Interpreter.prototype.setupReservedCommonEvent = function() {
+  if (Kaos.Augment.Game_Interpreter_setupReservedCommonEvent.call(this)) return true;
+  var queue = $gameTemp._augmentCommonEvents;
+  if (!queue || queue.length <= 0) return false;
+  var next = queue.shift();
+  $gameTemp._augmentEvent = next.data;
+  this.setup($dataCommonEvents[next.id].list);
+  return true;
+};
+
+['install', 'reject', 'remove'].forEach(function(type) {
+  Kaos.Augment.on(type, function(data) {
+    if (!data.undo) Kaos.Augment.reserveCommonEvent(type, data);
+  });
+});
+
+// LOADOUTS -------------------------------------------------------------------
+// A loadout is { slots: [...] } with the augment key ("item 12") or null for
+// each slot, stored by name in $gameSystem.  Applying one first empties the
+// slots that change, then fills them, retrying until no more can be filled so
+// augments that need another's granted tags still go in.  It is one
+// transaction, so it is undone in one step.
+
+Kaos.Augment.saveLoadout = function(item, name) {
+  if (!item || !item.augmentSlotItems) return null;
+  ItemManager.checkAugmentSlots(item);
+  var loadout = { slots: [] };
+  for (var a = 0; a < item.augmentSlots.length; a++) {
+    loadout.slots.push(this.slotKey(item, a));
+  }
+  $gameSystem.augmentLoadouts()[name] = loadout;
+  return loadout;
+};
+
+Kaos.Augment.hasLoadout = function(name) {
+  return !!$gameSystem.augmentLoadouts()[name];
+};
+
+Kaos.Augment.deleteLoadout = function(name) {
+  delete $gameSystem.augmentLoadouts()[name];
+};
+
+// The name of the loadout saved from the Equip Customize scene.
+Kaos.Augment.itemLoadoutName = function(item) {
+  return this.augmentKey(item);
+};
+
+// Returns the key of the augment in the slot, or null if it is empty.
+Kaos.Augment.slotKey = function(item, slotId) {
+  var augment = ItemManager.augmentInSlot(item, slotId);
+  return augment ? this.augmentKey(augment) : null;
+};
+
+// Returns the augment for a key such as "weapon 3", or null.
+Kaos.Augment.augmentFromKey = function(key) {
+  var match = String(key).match(/^(item|weapon|armor)[ ](\d+)$/i);
+  return match ? this.databaseItem(match[1], Number(match[2])) : null;
+};
+
+// Returns why the augment cannot go in the slot right now.
+Kaos.Augment.loadoutFailures = function(augment, item, slotId) {
+  if (!this.fitsSlot(augment, item, slotId)) return ["SLOT"];
+  if (!$gameParty.hasItem(augment)) return ["MISSING"];
+  return this.failedInstall(augment, item, slotId);
+};
+
+Kaos.Augment.applyLoadout = function(item, name) {
+  var loadout = $gameSystem.augmentLoadouts()[name];
+  if (!item || !item.augmentSlotItems || !loadout) return null;
+  ItemManager.checkAugmentSlots(item);
+  var report = { filled: [], failed: [] };
+  this.transaction(item, function() {
+    var before = JSON.stringify(item.augmentSlotItems);
+    this.emptyLoadoutSlots(item, loadout, report);
+    this.fillLoadoutSlots(item, loadout, report);
+    return JSON.stringify(item.augmentSlotItems) !== before;
+  }.bind(this));
+  return report;
+};
+
+// Adds a slot that could not be changed to the report, with its rejection
+// text as it is right now.
+Kaos.Augment.reportLoadoutFailure = function(report, item, slotId, augment, reasons) {
+  report.failed.push({ slotId: slotId, augment: augment, reasons: reasons,
+    text: augment ? this.rejectionText(augment, item, reasons) : '' });
+};
+
+Kaos.Augment.emptyLoadoutSlots = function(item, loadout, report) {
+  var pending = [];
+  for (var a = 0; a < item.augmentSlots.length; a++) {
+    var key = this.slotKey(item, a);
+    if (key && key !== (loadout.slots[a] || null)) pending.push(a);
+  }
+  var progress = true;
+  while (pending.length > 0 && progress) {
+    progress = false;
+    pending = pending.filter(function(slotId) {
+      if (!ItemManager.augmentInSlot(item, slotId)) return false;
+      if (this.checkRemoval(item, slotId, null).blocked) return true;
+      this.removeAugmentFromSlot(item, slotId);
+      progress = true;
+      return false;
+    }, this);
+  }
+  pending.forEach(function(slotId) {
+    this.reportLoadoutFailure(report, item, slotId,
+      ItemManager.augmentInSlot(item, slotId), ["DEPENDENTS"]);
+  }, this);
+};
+
+Kaos.Augment.fillLoadoutSlots = function(item, loadout, report) {
+  var pending = [];
+  for (var a = 0; a < item.augmentSlots.length; a++) {
+    var key = loadout.slots[a] || null;
+    if (key && this.slotKey(item, a) === null) pending.push(a);
+  }
+  var progress = true;
+  while (pending.length > 0 && progress) {
+    progress = false;
+    pending = pending.filter(function(slotId) {
+      var augment = this.augmentFromKey(loadout.slots[slotId]);
+      if (!augment || this.loadoutFailures(augment, item, slotId).length > 0) return true;
+      var outcome = { failed: [], text: '' };
+      if (this.installAugmentToSlot(item, augment, slotId, 1, outcome)) {
+        report.filled.push(slotId);
+        progress = true;
+      } else {
+        report.failed.push({ slotId: slotId, augment: augment,
+          reasons: outcome.failed, text: outcome.text });
       }
+      return false;
+    }, this);
+  }
+  pending.forEach(function(slotId) {
+    var augment = this.augmentFromKey(loadout.slots[slotId]);
+    this.reportLoadoutFailure(report, item, slotId, augment,
+      augment ? this.loadoutFailures(augment, item, slotId) : ["MISSING"]);
+  }, this);
+};
+
+Kaos.Augment.exportLoadouts = function(names) {
+  var loadouts = $gameSystem.augmentLoadouts();
+  var data = {};
+  (names || Object.keys(loadouts)).forEach(function(name) {
+    if (loadouts[name]) data[name] = loadouts[name];
+  });
+  return JSON.stringify(data);
+};
+
+// Slots naming an augment that is not in the database are left empty.
+Kaos.Augment.importLoadouts = function(json) {
+  var data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  var names = [];
+  for (var name in data) {
+    if (!data[name] || !Array.isArray(data[name].slots)) continue;
+    $gameSystem.augmentLoadouts()[name] = { slots: data[name].slots.map(function(key) {
+      return Kaos.Augment.augmentFromKey(key) ? String(key).toLowerCase() : null;
+    }) };
+    names.push(name);
+  }
+  return names;
+};
+
+Scene_EquipCustomize.prototype.onActionSaveLoadout = function() {
+  Kaos.Augment.saveLoadout(this.item(), Kaos.Augment.itemLoadoutName(this.item()));
+  this.refreshAugmentWindows();
+  this.showAugmentMessage(Kaos.Augment.Param.LoadoutSavedText);
+};
+
+Scene_EquipCustomize.prototype.onActionApplyLoadout = function() {
+  var report = Kaos.Augment.applyLoadout(this.item(),
+    Kaos.Augment.itemLoadoutName(this.item()));
+  this.refreshAugmentWindows();
+  var lines = report.failed.map(function(entry) {
+    return Kaos.Augment.Param.LoadoutSlotText.format(entry.slotId + 1, entry.text);
+  });
+  this.showAugmentMessage(lines.length > 0 ? lines.join("\n") :
+    Kaos.Augment.Param.LoadoutAppliedText);
+};
+
+// Shows text in the rejection window.
+Scene_EquipCustomize.prototype.showAugmentMessage = function(text) {
+  if (!text) return;
+  this._augmentRejectionWindow.setText(text);
+  this._augmentRejectionWindow.show();
+};
+
+// COMPATIBILITY BROWSER ------------------------------------------------------
+// Opened from the item menu for the augment in $gameTemp._augmentBrowserItem.
+// Lists the party's items with a slot the augment fits, and installs it in
+// the slot picked.
+
+Kaos.Augment.isAugment = function(item) {
+  return !!item && !!item.augmentTypes && item.augmentTypes.length > 0;
+};
+
+// Returns { item, actor, slots, slotId, compatible } for every independent
+// item the party has with a slot the augment fits.  slots lists those slots,
+// and slotId is the first one the augment can be installed in, or the first
+// one if there is none.  Compatible items come first.
+Kaos.Augment.augmentTargets = function(augment) {
+  var compatible = [];
+  var incompatible = [];
+  this.partyIndex().entries.forEach(function(entry) {
+    var item = entry.item;
+    if (!DataManager.isIndependent(item) || !item.augmentSlots) return;
+    var slots = [];
+    for (var slotId = 0; slotId < item.augmentSlots.length; slotId++) {
+      if (Kaos.Augment.fitsSlot(augment, item, slotId)) slots.push(slotId);
+    }
+    if (slots.length <= 0) return;
+    var fits = slots.filter(function(slotId) {
+      return Kaos.Augment.isCompatible(augment, item, slotId);
+    });
+    var target = { item: item, actor: entry.actor, slots: slots,
+      slotId: fits.length > 0 ? fits[0] : slots[0], compatible: fits.length > 0 };
+    (target.compatible ? compatible : incompatible).push(target);
+  });
+  return compatible.concat(incompatible);
+};
+
+Kaos.Augment.Scene_Item_createActionWindow = Scene_Item.prototype.createActionWindow;
+Scene_Item.prototype.createActionWindow = function() {
+  Kaos.Augment.Scene_Item_createActionWindow.call(this);
+  this._itemActionWindow.setHandler('augmentBrowse',
+    this.onActionAugmentBrowse.bind(this));
+};
+
+Scene_Item.prototype.onActionAugmentBrowse = function() {
+  $gameTemp._augmentBrowserItem = this.item();
+  SceneManager.push(Scene_AugmentBrowser);
+};
+
+function Scene_AugmentBrowser() {
+  this.initialize.apply(this, arguments);
+}
+
+Scene_AugmentBrowser.prototype = Object.create(Scene_MenuBase.prototype);
+Scene_AugmentBrowser.prototype.constructor = Scene_AugmentBrowser;
+
+Scene_AugmentBrowser.prototype.initialize = function() {
+  Scene_MenuBase.prototype.initialize.call(this);
+  this._augment = $gameTemp._augmentBrowserItem;
+};
+
+Scene_AugmentBrowser.prototype.create = function() {
+  Scene_MenuBase.prototype.create.call(this);
+  this.createHelpWindow();
+  this.createTargetWindow();
+  this.createSlotWindow();
+  this._augmentRejectionWindow = new Window_AugmentRejection();
+  this.addWindow(this._augmentRejectionWindow);
+};
+
+Scene_AugmentBrowser.prototype.createTargetWindow = function() {
+  var wy = this._helpWindow.y + this._helpWindow.height;
+  this._targetWindow = new Window_AugmentTargets(0, wy, Graphics.boxWidth,
+    Graphics.boxHeight - wy);
+  this._targetWindow.setHelpWindow(this._helpWindow);
+  this._targetWindow.setHandler('ok', this.onTargetOk.bind(this));
+  this._targetWindow.setHandler('cancel', this.popScene.bind(this));
+  this._targetWindow.setAugment(this._augment);
+  this._targetWindow.select(0);
+  this._targetWindow.activate();
+  this.addWindow(this._targetWindow);
+};
+
+Scene_AugmentBrowser.prototype.createSlotWindow = function() {
+  this._slotWindow = new Window_AugmentTargetSlots(0, this._targetWindow.y);
+  this._slotWindow.x = Graphics.boxWidth - this._slotWindow.width;
+  this._slotWindow.setHelpWindow(this._helpWindow);
+  this._slotWindow.setHandler('ok', this.onSlotOk.bind(this));
+  this._slotWindow.setHandler('cancel', this.onSlotCancel.bind(this));
+  this._slotWindow.hide();
+  this._slotWindow.deactivate();
+  this.addWindow(this._slotWindow);
+};
+
+Scene_AugmentBrowser.prototype.onTargetOk = function() {
+  var target = this._targetWindow.target();
+  this._augmentRejectionWindow.hide();
+  this._slotWindow.setup(this._augment, target.item);
+  this._slotWindow.selectExt(target.slotId);
+  this._slotWindow.show();
+  this._slotWindow.activate();
+};
+
+// Goes back to the item list once installed, or leaves the scene if that was
+// the party's last one.
+Scene_AugmentBrowser.prototype.onSlotOk = function() {
+  var item = this._targetWindow.target().item;
+  var slotId = this._slotWindow.currentExt();
+  if (!Kaos.Augment.installAugmentToSlot(item, this._augment, slotId)) {
+    this._slotWindow.activate();
+    return;
+  }
+  if ($gameParty.numItems(this._augment) <= 0) return this.popScene();
+  this._targetWindow.refresh();
+  this.onSlotCancel();
+};
+
+Scene_AugmentBrowser.prototype.onSlotCancel = function() {
+  this._slotWindow.hide();
+  this._slotWindow.deactivate();
+  this._targetWindow.activate();
+};
+
+function Window_AugmentTargets() {
+  this.initialize.apply(this, arguments);
+}
+
+Window_AugmentTargets.prototype = Object.create(Window_Selectable.prototype);
+Window_AugmentTargets.prototype.constructor = Window_AugmentTargets;
+
+Window_AugmentTargets.prototype.initialize = function(x, y, width, height) {
+  this._augment = null;
+  this._data = [];
+  Window_Selectable.prototype.initialize.call(this, x, y, width, height);
+};
+
+Window_AugmentTargets.prototype.setAugment = function(augment) {
+  this._augment = augment;
+  this.refresh();
+};
+
+Window_AugmentTargets.prototype.maxItems = function() {
+  return this._data.length;
+};
+
+Window_AugmentTargets.prototype.target = function() {
+  return this._data[this.index()] || null;
+};
+
+Window_AugmentTargets.prototype.isCurrentItemEnabled = function() {
+  return !!this.target();
+};
+
+Window_AugmentTargets.prototype.refresh = function() {
+  this._data = this._augment ? Kaos.Augment.augmentTargets(this._augment) : [];
+  if (this.index() >= this._data.length) this.select(this._data.length - 1);
+  this.createContents();
+  this.drawAllItems();
+};
+
+// Draws the item's name, who has it equipped, and whether the augment fits.
+Window_AugmentTargets.prototype.drawItem = function(index) {
+  var target = this._data[index];
+  var rect = this.itemRectForText(index);
+  var marker = target.compatible ? Kaos.Augment.Param.CompatibleMarker :
+    Kaos.Augment.Param.IncompatibleMarker;
+  var markerWidth = this.textWidth(marker + ' ');
+  var actorWidth = target.actor ? this.textWidth(target.actor.name() + ' ') : 0;
+  this.changePaintOpacity(target.compatible);
+  this.drawItemName(target.item, rect.x, rect.y, rect.width - markerWidth - actorWidth);
+  if (target.actor) {
+    this.drawText(target.actor.name(), rect.x, rect.y, rect.width - markerWidth, 'right');
+  }
+  this.changePaintOpacity(true);
+  this.changeTextColor(target.compatible ? this.powerUpColor() : this.powerDownColor());
+  this.drawText(marker, rect.x, rect.y, rect.width, 'right');
+  this.resetTextColor();
+};
+
+Window_AugmentTargets.prototype.updateHelp = function() {
+  var target = this.target();
+  var text = target ?
+    Kaos.Augment.previewText(this._augment, target.item, target.slotId) : '';
+  if (text) this._helpWindow.setText(text);
+  else this._helpWindow.setItem(target ? target.item : this._augment);
+};
+
+function Window_AugmentTargetSlots() {
+  this.initialize.apply(this, arguments);
+}
+
+Window_AugmentTargetSlots.prototype = Object.create(Window_Command.prototype);
+Window_AugmentTargetSlots.prototype.constructor = Window_AugmentTargetSlots;
+
+Window_AugmentTargetSlots.prototype.initialize = function(x, y) {
+  this._augment = null;
+  this._item = null;
+  Window_Command.prototype.initialize.call(this, x, y);
+};
+
+Window_AugmentTargetSlots.prototype.windowWidth = function() {
+  return Graphics.boxWidth / 2;
+};
+
+Window_AugmentTargetSlots.prototype.setup = function(augment, item) {
+  this._augment = augment;
+  this._item = item;
+  this.clearCommandList();
+  this.makeCommandList();
+  this.height = this.windowHeight();
+  this.createContents();
+  this.drawAllItems();
+};
+
+// Every slot the augment fits, so picking one it is not compatible with shows
+// the rejection window.
+Window_AugmentTargetSlots.prototype.makeCommandList = function() {
+  if (!this._item) return;
+  for (var slotId = 0; slotId < this._item.augmentSlots.length; slotId++) {
+    if (!Kaos.Augment.fitsSlot(this._augment, this._item, slotId)) continue;
+    var augment = ItemManager.augmentInSlot(this._item, slotId);
+    var name = augment ? augment.name : Kaos.Augment.Param.BrowserEmptySlot;
+    var text = Kaos.Augment.Param.BrowserSlotText.format(
+      this._item.augmentSlots[slotId], name);
+    this.addCommand(text, 'slot', true, slotId);
+  }
+};
+
+Window_AugmentTargetSlots.prototype.isCommandEnabled = function(index) {
+  if (this._drawingIncompatible) return false;
+  return Window_Command.prototype.isCommandEnabled.call(this, index);
+};
+
+Window_AugmentTargetSlots.prototype.drawItem = function(index) {
+  var slotId = this._list[index].ext;
+  this._drawingIncompatible =
+    !Kaos.Augment.isCompatible(this._augment, this._item, slotId);
+  Window_Command.prototype.drawItem.call(this, index);
+  if (this._drawingIncompatible) {
+    var rect = this.itemRectForText(index);
+    this.changeTextColor(this.powerDownColor());
+    this.drawText(Kaos.Augment.Param.IncompatibleMarker, rect.x, rect.y,
+      rect.width, 'right');
+    this.resetTextColor();
+  }
+  this._drawingIncompatible = false;
+};
+
+Window_AugmentTargetSlots.prototype.updateHelp = function() {
+  if (!this._item) return;
+  var text = Kaos.Augment.previewText(this._augment, this._item, this.currentExt());
+  if (text) this._helpWindow.setText(text);
+  else this._helpWindow.setItem(this._augment);
+};
+
+// UTILITIES ------------------------------------------------------------------
+
+// Returns the item's tags.  If NeMV_Tags.js has not given it any, they are
+// copied from its base item, or read from its <Tags: ...> notetags.
+Kaos.Augment.tags = function(item) {
+  if (!item) return [];
+  if (!Array.isArray(item.tags)) {
+    var base = Imported.YEP_ItemCore ? DataManager.getBaseItem(item) : item;
+    if (base && base !== item && Array.isArray(base.tags)) {
+      item.tags = base.tags.slice();
+    } else {
+      item.tags = Kaos.Augment.parseTags(item.note);
+    }
+  }
+  return item.tags;
+}
+
+Kaos.Augment.parseTags = function(note) {
+  var tags = [];
+  var notelines = (note || "").split(/[\r\n]+/);
+  for (var i = 0; i < notelines.length; i++) {
+    var lineMatch = notelines[i].match(/<(?:TAGS):[ ]*(.*)>/i);
+    if (lineMatch) tags = tags.concat(lineMatch[1].toUpperCase().match(/[^,\s]+/g) || []);
+  }
+  return tags;
+}
+
+Kaos.Augment.hasTag = function(item, tag, returnIndex) {
+  returnIndex = returnIndex || false;
+  var index = Kaos.Augment.lastMatchIndex(tag, Kaos.Augment.tags(item));
+  if (index < 0) return false;
+  return returnIndex ? index : true;
+}
+
+Kaos.Augment.hasGrant = function(item, grant, returnIndex) {
+  returnIndex = returnIndex || false;
+  var index = Kaos.Augment.lastMatchIndex(grant, item.augmentGrantedTags);
+  if (index < 0) return false;
+  return returnIndex ? index : true;
+}
+
+Kaos.Augment.addTag = function(item, tag) {
+  Kaos.Augment.removeTag(item, tag.toUpperCase());
+	Kaos.Augment.tags(item).push(tag.toUpperCase());
+  Kaos.Augment.invalidatePartyIndex();
+}
+
+// Returns the item's granted tag ledger, which lists the slots and set
+// bonuses that granted each "aug_" tag on it, e.g.
+// { AUG_HACKED: [0, 2], AUG_CLOAKED: ["set GHOST PROTOCOL 2"] }.
+Kaos.Augment.grantLedger = function(item) {
+  if (!item.augmentGrantLedger) item.augmentGrantLedger = {};
+  return item.augmentGrantLedger;
+}
+
+// Returns how many slots and set bonuses on the item currently grant the tag.
+Kaos.Augment.grantCount = function(item, grant) {
+  var tag = grant.toUpperCase();
+  if (tag.indexOf("AUG_") !== 0) tag = "AUG_" + tag;
+  var slots = Kaos.Augment.grantLedger(item)[tag];
+  return slots ? slots.length : 0;
+}
+
+Kaos.Augment.addGrantedTags = function(item, augment, slotId) {
+  var ledger = Kaos.Augment.grantLedger(item);
+  for (var g = 0; g < augment.augmentGrantedTags.length; g++) {
+    var tag = ("aug_" + augment.augmentGrantedTags[g]).toUpperCase();
+    ledger[tag] = ledger[tag] || [];
+    if (!ledger[tag].contains(slotId)) ledger[tag].push(slotId);
+    var tags = Kaos.Augment.tags(item);
+    if (tags.indexOf(tag) < 0) tags.push(tag);
+  }
+  Kaos.Augment.invalidatePartyIndex();
+}
+
+Kaos.Augment.removeTag = function(item, tag) {
+  var tags = Kaos.Augment.tags(item);
+  var index = tags.indexOf(tag.toUpperCase());
+  if (index > -1) tags.splice(index, 1);
+  Kaos.Augment.invalidatePartyIndex();
+}
+
+// Removes every tag the slot granted to the item.  A tag stays on the item
+// while any other slot still grants it.
+Kaos.Augment.removeGrantedTags = function(item, slotId) {
+  var ledger = Kaos.Augment.grantLedger(item);
+  for (var tag in ledger) {
+    var index = ledger[tag].indexOf(slotId);
+    if (index < 0) continue;
+    ledger[tag].splice(index, 1);
+    if (ledger[tag].length > 0) continue;
+    delete ledger[tag];
+    Kaos.Augment.removeTag(item, tag);
+  }
+}
+
+// Rebuilds the item's "aug_" tags and ledger from the augments installed in
+// its slots, using their current granted tags.
+Kaos.Augment.reconcileGrantedTags = function(item) {
+  item.tags = Kaos.Augment.tags(item).filter(function(tag) {
+    return tag.toUpperCase().indexOf("AUG_") !== 0;
+  });
+  item.augmentGrantLedger = {};
+  Kaos.Augment.invalidatePartyIndex();
+  for (var a = 0; a < item.augmentSlotItems.length; a++) {
+    var augment = ItemManager.augmentInSlot(item, a);
+    if (augment && augment.augmentGrantedTags && !Kaos.Augment.isSuspended(item, a)) {
+      Kaos.Augment.addGrantedTags(item, augment, a);
     }
-    if (removeTag) Kaos.Augment.removeTag(item, "aug_" + grant);
   }
+  var active = item.augmentSetBonuses || {};
+  for (var name in active) {
+    active[name].forEach(function(count) {
+      var bonus = (Kaos.Augment.setBonuses[name] || {})[count];
+      if (!bonus) return;
+      Kaos.Augment.addGrantedTags(item, bonus, Kaos.Augment.setSource(name, count));
+    });
+  }
+}
+
+Kaos.Augment.reconcileAllGrantedTags = function() {
+  [$dataItems, $dataWeapons, $dataArmors].forEach(function(data) {
+    if (!data) return;
+    for (var n = 1; n < data.length; n++) {
+      var obj = data[n];
+      if (obj && obj.augmentSlotItems) {
+        Kaos.Augment.reconcileGrantedTags(obj);
+      }
+    }
+  });
 }
 
 Kaos.Augment.checkRequirements = function(augment, item) {
-  var okToInstall = false;
-  var requirement = augment.augmentRequirements;
-  if (requirement.length > 0)
-    for (var r = 0; r < requirement.length; r++) {
-			okToInstall = false;
-      for (var t = 0; t < item.tags.length; t++) {
-        if (requirement[r] == item.tags[t]) {
-					okToInstall = true;
-				}
-			}
-      if (!okToInstall) return false;
+  return Kaos.Augment.failedRequirements(augment, item).length === 0;
+}
+
+// Returns the keys of the tag requirements, then of the other requirements,
+// that the item does not meet.
+Kaos.Augment.failedRequirements = function(augment, item) {
+  var failed = augment.augmentRequirements.filter(function(req) {
+    return !Kaos.Augment.evaluateRequirement(req, item);
+  }).map(Kaos.Augment.tagRequirementKey);
+  (augment.augmentConditions || []).forEach(function(condition) {
+    if (!Kaos.Augment.checkCondition(condition, item) &&
+      !failed.contains(condition.key)) failed.push(condition.key);
+  });
+  return failed;
+}
+
+// Returns the tags the item would need to gain to pass the augment's failed
+// requirements.  Tags that fail a requirement by being present are not listed.
+Kaos.Augment.missingTags = function(augment, item) {
+  var missing = [];
+  var collect = function(node) {
+    if (Kaos.Augment.evaluateRequirementNode(node, item)) return;
+    if (node.type === 'tag') {
+      if (!missing.contains(node.tag)) missing.push(node.tag);
+    } else if (node.type === 'and' || node.type === 'or') {
+      node.operands.forEach(collect);
     }
-  return true;
+  };
+  augment.augmentRequirements.forEach(function(req) {
+    var node = Kaos.Augment.parseRequirement(req);
+    if (node) collect(node);
+  });
+  return missing;
+}
+
+// Returns the tags an installed augment brings to an item: its own tags and
+// the "aug_" tags it grants.
+Kaos.Augment.augmentTags = function(augment) {
+  var grants = augment.augmentGrantedTags.map(function(grant) {
+    return "AUG_" + grant;
+  });
+  return Kaos.Augment.tags(augment).concat(grants);
+}
+
+Kaos.Augment.augmentsConflict = function(augment, otherAugment) {
+  var tags = Kaos.Augment.augmentTags(augment);
+  var otherTags = Kaos.Augment.augmentTags(otherAugment);
+  return augment.augmentConflicts.some(function(conflict) {
+    return Kaos.Augment.baseHasGrants(conflict, otherTags);
+  }) || otherAugment.augmentConflicts.some(function(conflict) {
+    return Kaos.Augment.baseHasGrants(conflict, tags);
+  });
 }
 
-Kaos.Augment.showRejection = function(augment) {
-  SceneManager._scene._augmentRejectionWindow.setItem(augment);
-  SceneManager._scene._augmentRejectionWindow.show();
+// Returns "CONFLICT" and/or "UNIQUE" if installing the augment in the slot
+// would clash with an augment installed in one of the item's other slots.
+Kaos.Augment.failedConflicts = function(augment, item, slotId) {
+  var failed = [];
+  var slots = item.augmentSlotItems || [];
+  for (var a = 0; a < slots.length; a++) {
+    if (a === slotId) continue;
+    var otherAugment = ItemManager.augmentInSlot(item, a);
+    if (!otherAugment) continue;
+    if (augment.augmentUniquePerItem && otherAugment === augment &&
+      !failed.contains("UNIQUE")) failed.push("UNIQUE");
+    if (Kaos.Augment.augmentsConflict(augment, otherAugment) &&
+      !failed.contains("CONFLICT")) failed.push("CONFLICT");
+  }
+  return failed;
+}
+
+// Returns how many slots across the items hold the augment, leaving out the
+// item's slot it would be installed in.
+Kaos.Augment.countInItems = function(augment, items, item, slotId) {
+  var count = 0;
+  items.forEach(function(other) {
+    var slots = (other && other.augmentSlotItems) || [];
+    for (var a = 0; a < slots.length; a++) {
+      if (other === item && a === slotId) continue;
+      if (ItemManager.augmentInSlot(other, a) === augment) count++;
+    }
+  });
+  return count;
 }
 
-Kaos.Augment.installAugmentToSlot = function(item, effectItem, slotId, gain) {
-  gain = gain || 0;
-  ItemManager.applyAugmentEffects(item, effectItem, slotId, gain);
-  $gameParty.loseItem(effectItem, 1);
+// Returns "MAX ITEM", "MAX ACTOR" and/or "MAX PARTY" if installing the
+// augment in the slot would go over its stacking limits.
+Kaos.Augment.failedLimits = function(augment, item, slotId) {
+  var limits = augment.augmentMax || {};
+  var failed = [];
+  if (limits.item !== undefined &&
+    Kaos.Augment.countInItems(augment, [item], item, slotId) >= limits.item) {
+    failed.push("MAX ITEM");
+  }
+  var actor = limits.actor !== undefined ? Kaos.Augment.equippingActor(item) : null;
+  if (actor &&
+    Kaos.Augment.countInItems(augment, actor.equips(), item, slotId) >= limits.actor) {
+    failed.push("MAX ACTOR");
+  }
+  if (limits.party !== undefined) {
+    var items = Kaos.Augment.partyIndex().entries.map(function(entry) {
+      return entry.item;
+    });
+    if (!items.contains(item)) items.push(item);
+    if (Kaos.Augment.countInItems(augment, items, item, slotId) >= limits.party) {
+      failed.push("MAX PARTY");
+    }
+  }
+  return failed;
+}
+
+// Returns every requirement, conflict and limit key that stops the augment
+// from being installed in the item's slot.
+Kaos.Augment.failedInstall = function(augment, item, slotId) {
+  return Kaos.Augment.failedRequirements(augment, item)
+    .concat(Kaos.Augment.failedConflicts(augment, item, slotId))
+    .concat(Kaos.Augment.failedLimits(augment, item, slotId));
+}
+
+Kaos.Augment.isCompatible = function(augment, item, slotId) {
+  return Kaos.Augment.failedInstall(augment, item, slotId).length <= 0;
+}
+
+// Returns the help window text previewing what installing the augment would
+// grant, and which of its requirements the item is missing.
+Kaos.Augment.previewText = function(augment, item, slotId) {
+  var lines = [];
+  var grants = augment.augmentGrantedTags;
+  if (grants.length > 0 && Kaos.Augment.Param.GrantsPreview) {
+    lines.push(Kaos.Augment.Param.GrantsPreview.format(grants.join(", ")));
+  }
+  var failed = Kaos.Augment.failedInstall(augment, item, slotId);
+  if (failed.length > 0 && Kaos.Augment.Param.MissingPreview) {
+    var labels = failed.map(function(key) {
+      return Kaos.Augment.requirementLabel(augment, key);
+    });
+    lines.push(Kaos.Augment.Param.MissingPreview.format(labels.join(", ")));
+  }
+  return lines.join("\n");
+}
+
+// Returns the augment's rejection string for the key, or the key's default
+// rejection, or undefined if it has neither.  %1 in the text for a stacking
+// limit is replaced with the limit.
+Kaos.Augment.keyRejection = function(augment, key) {
+  var text = augment.augmentRejectionStrings[key];
+  if (text === undefined) text = Kaos.Augment.Param.DefaultRejections[key];
+  if (text !== undefined && key.indexOf("MAX ") === 0) {
+    text = text.format(augment.augmentMax[key.substring(4).toLowerCase()]);
+  }
+  return text;
+}
+
+// Returns the rejection text for each failed requirement that has its own
+// string, plus the augment's rejection string if any failed requirement has
+// none.  Requirement keys with a default rejection, such as "CONFLICT", use
+// that instead of the augment's rejection string.
+Kaos.Augment.rejectionText = function(augment, item, failed) {
+  failed = failed || Kaos.Augment.failedRequirements(augment, item);
+  var lines = [];
+  var useDefault = false;
+  failed.forEach(function(req) {
+    var text = Kaos.Augment.keyRejection(augment, req);
+    if (req === "VETO" && $gameTemp._augmentVetoReason) {
+      text = $gameTemp._augmentVetoReason;
+    }
+    if (text === undefined) useDefault = true;
+    else if (!lines.contains(text)) lines.push(text);
+  });
+  if ((useDefault || lines.length <= 0) && augment.augmentRejectionString) {
+    lines.push(augment.augmentRejectionString);
+  }
+  return lines.join("\n");
+}
+
+// Scenes without a rejection window, such as the map, show nothing.
+Kaos.Augment.showRejection = function(augment, item, failed) {
+  var rejectionWindow = SceneManager._scene._augmentRejectionWindow;
+  if (!rejectionWindow) return;
+  rejectionWindow.setItem(augment, item, failed);
+  rejectionWindow.show();
+  var failure = failed && failed.some(function(key) {
+    return key.indexOf("FAILURE") === 0;
+  });
+  var se = Kaos.Augment.Param.RejectionWindow.se;
+  if (se && !failure) AudioManager.playSe({ name: se, volume: 90, pitch: 100, pan: 0 });
+}
+
+Kaos.Augment.installAugmentToSlot = function(item, effectItem, slotId, gain, outcome) {
+  if (gain === undefined) gain = 1;
+  return ItemManager.applyAugmentEffects(item, effectItem, slotId, gain, outcome);
+}
+
+// Returns true if the item has a slot with that id, and the augment is of
+// that slot's type.
+Kaos.Augment.fitsSlot = function(augment, item, slotId) {
+  if (!item || !item.augmentSlots || !item.augmentSlots[slotId]) return false;
+  var type = item.augmentSlots[slotId].toUpperCase().trim();
+  return !!augment.augmentTypes && augment.augmentTypes.contains(type);
 }
 
 Kaos.Augment.removeAugmentFromSlot = function(item, slotId, gain) {
-  gain = gain || true;
-  Kaos.Augment.removeGrantedTags(item, ItemManager.augmentInSlot(item, slotId));
-  var augment = ItemManager.removeAugmentFromSlot(item, slotId);
-  if (gain) $gameParty.gainItem(augment, 1);
-  item.augmentSlotItems[slotId] = "none";
-  return augment;
+  if (gain === undefined) gain = 1;
+  var removal = Kaos.Augment.checkRemoval(item, slotId, null);
+  if (removal.blocked) {
+    var augment = ItemManager.augmentInSlot(item, slotId);
+    Kaos.Augment.showRejection(augment, item, ["DEPENDENTS"]);
+    Kaos.Augment.trigger('reject', item, augment, slotId, { failed: ["DEPENDENTS"] });
+    return null;
+  }
+  return Kaos.Augment.transaction(item, function() {
+    var augment = ItemManager.removeAugmentFromSlot(item, slotId);
+    if (augment) $gameParty.gainItem(augment, gain);
+    ItemManager.installAugmentToSlot(item, null, slotId);
+    Kaos.Augment.ejectAugments(item, removal.ejected);
+    ItemManager.augmentRefreshParty(item);
+    return augment;
+  });
+}
+
+// Returns the chance, from 0 to 100, that the augment installs successfully.
+// Eval rates can use actor (whoever has the item equipped, or null), item,
+// augment, v (variables) and s (switches).  A rate that throws or is not a
+// number counts as 100.
+Kaos.Augment.successRate = function(augment, item) {
+  if (!augment.augmentSuccessRate) return 100;
+  var actor = Kaos.Augment.equippingActor(item);
+  var v = $gameVariables._data;
+  var s = $gameSwitches._data;
+  var rate;
+  try {
+    rate = Number(eval(augment.augmentSuccessRate));
+  } catch (e) {
+    if (Utils.isOptionValid('test')) console.error(e);
+    return 100;
+  }
+  if (!isFinite(rate)) {
+    if (Utils.isOptionValid('test')) {
+      console.warn("Kaos_AugmentRequirements: success rate of " +
+        Kaos.Augment.augmentKey(augment) + " is not a number: " +
+        augment.augmentSuccessRate);
+    }
+    return 100;
+  }
+  return rate;
+};
+
+Kaos.Augment.rollSuccess = function(augment, item) {
+  return Math.random() * 100 < Kaos.Augment.successRate(augment, item);
+};
+
+// Applies the augment's failure outcome and returns its rejection key.
+// destroy - the augment is used up.
+// keep    - the augment stays in the party's inventory.
+// damage  - the augment is used up and the item loses a share of each param.
+Kaos.Augment.applyFailure = function(augment, item) {
+  var outcome = augment.augmentFailure;
+  if (outcome === 'destroy' || outcome === 'damage') {
+    $gameParty.loseItem(augment, 1);
+  }
+  if (outcome === 'damage') {
+    Kaos.Augment.damageItem(item, augment.augmentFailureDamageRate);
+  }
+  if (outcome !== 'keep') Kaos.Augment.clearHistory();
+  var se = Kaos.Augment.Param.FailureSe[outcome];
+  if (se) AudioManager.playSe({ name: se, volume: 90, pitch: 100, pan: 0 });
+  return "FAILURE " + outcome.toUpperCase();
+}
+
+Kaos.Augment.damageItem = function(item, rate) {
+  if (!item.params) return;
+  for (var i = 0; i < item.params.length; i++) {
+    item.params[i] = Math.floor(item.params[i] * (100 - rate) / 100);
+  }
+  ItemManager.augmentRefreshParty(item);
+}
+
+// Returns the other slots whose augments pass their tag requirements now, but
+// would not once the augment in slotId is removed, including augments that
+// only depend on those.  replacement is the augment going into slotId, if
+// any, whose granted tags are counted as staying.
+Kaos.Augment.dependentSlots = function(item, slotId, replacement) {
+  var ledger = Kaos.Augment.grantLedger(item);
+  var removed = [slotId];
+  var extra = !replacement ? [] : replacement.augmentGrantedTags.map(function(grant) {
+    return "AUG_" + grant;
+  });
+  var found = true;
+  while (found) {
+    found = false;
+    var probe = { tags: Kaos.Augment.tags(item).filter(function(tag) {
+      return !ledger[tag] || ledger[tag].some(function(source) {
+        return Kaos.Augment.sourceRemains(item, source, removed, replacement);
+      });
+    }).concat(extra) };
+    for (var a = 0; a < item.augmentSlotItems.length; a++) {
+      if (removed.contains(a)) continue;
+      var augment = ItemManager.augmentInSlot(item, a);
+      if (!augment || !augment.augmentRequirements) continue;
+      var reqs = augment.augmentRequirements;
+      var passes = reqs.every(function(req) {
+        return Kaos.Augment.evaluateRequirement(req, item);
+      });
+      var stillPasses = reqs.every(function(req) {
+        return Kaos.Augment.evaluateRequirement(req, probe);
+      });
+      if (passes && !stillPasses) {
+        removed.push(a);
+        found = true;
+      }
+    }
+  }
+  return removed.slice(1);
+}
+
+// Returns true if a ledger source would still grant its tags once the slots
+// in removed are emptied and replacement, if any, goes into the first one.
+Kaos.Augment.sourceRemains = function(item, source, removed, replacement) {
+  if (typeof source === 'number') return !removed.contains(source);
+  var match = String(source).match(/^set[ ](.+)[ ](\d+)$/);
+  if (!match) return true;
+  var count = Kaos.Augment.setCount(item, match[1], removed);
+  if (replacement && replacement.augmentSet === match[1]) count++;
+  return count >= Number(match[2]);
+}
+
+// Returns block, cascade or allow for removing the augment.
+Kaos.Augment.removalMode = function(augment) {
+  return (augment && augment.augmentDependentRemoval) ||
+    Kaos.Augment.Param.DependentRemoval;
+}
+
+// Decides what happens to the augments depending on the one in slotId.
+// blocked is true if the removal must not happen, and ejected lists the slots
+// to eject after it does.
+Kaos.Augment.checkRemoval = function(item, slotId, replacement) {
+  var result = { blocked: false, ejected: [] };
+  var augment = ItemManager.augmentInSlot(item, slotId);
+  if (!augment) return result;
+  var dependents = Kaos.Augment.dependentSlots(item, slotId, replacement);
+  if (dependents.length <= 0) return result;
+  var mode = Kaos.Augment.removalMode(augment);
+  if (mode === 'block') result.blocked = true;
+  else if (mode === 'cascade') result.ejected = dependents;
+  return result;
+}
+
+// Removes the augments in the slots and returns them to the party.
+Kaos.Augment.ejectAugments = function(item, slots) {
+  for (var s = 0; s < slots.length; s++) {
+    var augment = ItemManager.removeAugmentFromSlot(item, slots[s]);
+    ItemManager.installAugmentToSlot(item, null, slots[s]);
+    if (augment) $gameParty.gainItem(augment, 1);
+  }
+  if (slots.length > 0) ItemManager.augmentRefreshParty(item);
 }
 
 Kaos.Augment.partyItemsWithReq = function(req) {
-	if (Imported.YEP_ItemCore) {
-		return $gameParty._actors.reduce(function(a,b) {
-			return $gameActors.actor(b)._equips.reduce(function(c,d) {
-				return c || ((d.object() !== null) ? DataManager.getBaseItem(d.object()).hasReq(req) : false);
-			},a);
-		}, false) ||
-		$gameParty.equipItems().reduce(function(e,f) {
-			return e || DataManager.getBaseItem(f).hasReq(req);
-		}, false) ||
-		$gameParty.items().reduce(function(g,h) {
-			return g || DataManager.getBaseItem(h).hasReq(req);
-		}, false);
-	} else {
-		return $gameParty._actors.reduce(function(a,b) {
-			return $gameActors.actor(b)._equips.reduce(function(c,d) {
-				return c || ((d.object() !== null) ? d.object().hasReq(req) : false);
-			},a);
-		}, false) ||
-		$gameParty.equipItems().reduce(function(e,f) {
-			return e || f.hasReq(req);
-		}, false) ||
-		$gameParty.items().reduce(function(g,h) {
-			return g || h.hasReq(req);
-		}, false);
-	}
+	return Kaos.Augment.partyIndex().entries.some(function(entry) {
+		var item = Imported.YEP_ItemCore ? DataManager.getBaseItem(entry.item) : entry.item;
+		return !!item.hasReq && item.hasReq(req);
+	});
+};
+
+// PARTY INDEX ----------------------------------------------------------------
+// Every item the party has, equipped or not, indexed by tag and by installed
+// augment, and the equipped ones listed apart.  The index is marked dirty
+// whenever items are gained, lost, equipped, augmented or tagged, and rebuilt
+// on the next query.
+
+Kaos.Augment._partyIndex = null;
+
+Kaos.Augment.invalidatePartyIndex = function() {
+  this._partyIndex = null;
+};
+
+Kaos.Augment.partyIndex = function() {
+  if (!this._partyIndex) this._partyIndex = this.buildPartyIndex();
+  return this._partyIndex;
+};
+
+Kaos.Augment.buildPartyIndex = function() {
+  var index = { entries: [], equipped: [], byTag: {}, byAugment: {} };
+  var add = function(item, actor) {
+    if (!item) return;
+    var entry = { item: item, actor: actor };
+    index.entries.push(entry);
+    if (actor) index.equipped.push(entry);
+    Kaos.Augment.tags(item).forEach(function(tag) {
+      tag = tag.toUpperCase();
+      index.byTag[tag] = index.byTag[tag] || [];
+      index.byTag[tag].push(entry);
+    });
+    var slots = item.augmentSlotItems || [];
+    for (var a = 0; a < slots.length; a++) {
+      var augment = ItemManager.augmentInSlot(item, a);
+      if (!augment) continue;
+      var key = Kaos.Augment.augmentKey(augment);
+      index.byAugment[key] = index.byAugment[key] || [];
+      index.byAugment[key].push(entry);
+    }
+  };
+  $gameParty.allMembers().forEach(function(actor) {
+    actor.equips().forEach(function(item) { add(item, actor); });
+  });
+  $gameParty.items().forEach(function(item) { add(item, null); });
+  $gameParty.equipItems().forEach(function(item) { add(item, null); });
+  return index;
+};
+
+// Accepts an augment object, an item id, or a key such as "weapon 3".
+Kaos.Augment.toAugmentKey = function(augment) {
+  if (typeof augment === "number") return "item " + augment;
+  if (typeof augment === "string") return augment.toLowerCase().trim();
+  return this.augmentKey(augment);
+};
+
+// Returns { item, actor } for every party item with a tag matching the
+// pattern.  actor is null for items that are not equipped.
+Kaos.Augment.findItemsWithTag = function(tag) {
+  var index = this.partyIndex();
+  var results = [];
+  for (var key in index.byTag) {
+    if (!this.matchTag(tag, key)) continue;
+    index.byTag[key].forEach(function(entry) {
+      if (!results.contains(entry)) results.push(entry);
+    });
+  }
+  return results;
+};
+
+Kaos.Augment.findItemsWithGrant = function(grant) {
+  return this.findItemsWithTag("AUG_" + grant);
+};
+
+// Returns { item, actor } for every party item with the augment installed.
+Kaos.Augment.findItemsWithAugment = function(augment) {
+  var entries = this.partyIndex().byAugment[this.toAugmentKey(augment)] || [];
+  return entries.filter(function(entry, i) {
+    return entries.indexOf(entry) === i;
+  });
+};
+
+// Returns how many slots across all party items have the augment installed.
+Kaos.Augment.countInstalled = function(augment) {
+  return (this.partyIndex().byAugment[this.toAugmentKey(augment)] || []).length;
+};
+
+// The party query name for equippingActor.
+Kaos.Augment.whoEquips = function(item) {
+  return this.equippingActor(item);
+};
+
+Kaos.Augment.Game_Party_gainItem = Game_Party.prototype.gainItem;
+Game_Party.prototype.gainItem = function(item, amount, includeEquip) {
+  Kaos.Augment.Game_Party_gainItem.call(this, item, amount, includeEquip);
+  Kaos.Augment.invalidatePartyIndex();
+};
+
+Kaos.Augment.Game_Party_addActor = Game_Party.prototype.addActor;
+Game_Party.prototype.addActor = function(actorId) {
+  Kaos.Augment.Game_Party_addActor.call(this, actorId);
+  Kaos.Augment.equipsChanged($gameActors.actor(actorId));
+};
+
+Kaos.Augment.Game_Party_removeActor = Game_Party.prototype.removeActor;
+Game_Party.prototype.removeActor = function(actorId) {
+  Kaos.Augment.Game_Party_removeActor.call(this, actorId);
+  Kaos.Augment.equipsChanged($gameActors.actor(actorId));
+};
+
+// Called whenever the actor's equipment, class or party membership changes.
+Kaos.Augment.equipsChanged = function(actor) {
+  this.invalidatePartyIndex();
+  this.updateActorSuspensions(actor);
+};
+
+Kaos.Augment.Game_Actor_changeEquip = Game_Actor.prototype.changeEquip;
+Game_Actor.prototype.changeEquip = function(slotId, item) {
+  Kaos.Augment.Game_Actor_changeEquip.call(this, slotId, item);
+  Kaos.Augment.equipsChanged(this);
+};
+
+Kaos.Augment.Game_Actor_forceChangeEquip = Game_Actor.prototype.forceChangeEquip;
+Game_Actor.prototype.forceChangeEquip = function(slotId, item) {
+  Kaos.Augment.Game_Actor_forceChangeEquip.call(this, slotId, item);
+  Kaos.Augment.equipsChanged(this);
+};
+
+Kaos.Augment.Game_Actor_discardEquip = Game_Actor.prototype.discardEquip;
+Game_Actor.prototype.discardEquip = function(item) {
+  Kaos.Augment.Game_Actor_discardEquip.call(this, item);
+  Kaos.Augment.equipsChanged(this);
+};
+
+// The class's tags count toward actor tag requirements.
+Kaos.Augment.Game_Actor_changeClass = Game_Actor.prototype.changeClass;
+Game_Actor.prototype.changeClass = function(classId, keepExp) {
+  Kaos.Augment.Game_Actor_changeClass.call(this, classId, keepExp);
+  Kaos.Augment.equipsChanged(this);
+};
+
+// Runs on every refresh, so only counts as a change if something was removed.
+Kaos.Augment.Game_Actor_releaseUnequippableItems =
+  Game_Actor.prototype.releaseUnequippableItems;
+Game_Actor.prototype.releaseUnequippableItems = function(forcing) {
+  var equips = this.equips();
+  Kaos.Augment.Game_Actor_releaseUnequippableItems.call(this, forcing);
+  if (!equips.equals(this.equips())) Kaos.Augment.equipsChanged(this);
 };
 
 // ITEM PROTO ----------------------------------------------------------------